@@ -3,15 +3,91 @@
  * Replace 'your_token_here' with your actual GitHub Personal Access Token
  */
 require('dotenv').config();
+
+/**
+ * Read a whole number from the environment; 0 is a valid value
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset, not a number or negative
+ * @returns {number} Parsed value
+ */
+function readCount(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
 // GitHub Configuration
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEFAULT_REPO = process.env.DEFAULT_REPO;
 const DEFAULT_DATE = process.env.DEFAULT_DATE;
+// REST API base URL; set to https://<host>/api/v3 for GitHub Enterprise Server
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+// Maximum number of commit detail requests in flight at once
+const GITHUB_CONCURRENCY = readCount('GITHUB_CONCURRENCY', 5);
+// Retries for transient failures and secondary rate limits
+const GITHUB_MAX_RETRIES = readCount('GITHUB_MAX_RETRIES', 3);
+// Longest Retry-After wait (seconds) honored before giving up with a RateLimitError
+const GITHUB_MAX_RETRY_WAIT = readCount('GITHUB_MAX_RETRY_WAIT', 60);
+// Commit history backend: 'rest' (one request per commit) or 'graphql' (batched)
+const GITHUB_BACKEND = process.env.GITHUB_BACKEND || 'rest';
+// Local cache for immutable API data (defaults to .cache/ in the project root)
+const CACHE_DIR = process.env.CACHE_DIR;
+const CACHE_MAX_ENTRIES = readCount('CACHE_MAX_ENTRIES', 10000);
+// GitHub App authentication (used instead of GITHUB_TOKEN when an app ID and key are set)
+const GITHUB_APP_ID = process.env.GITHUB_APP_ID;
+const GITHUB_APP_PRIVATE_KEY_PATH = process.env.GITHUB_APP_PRIVATE_KEY_PATH;
+// PEM contents as an alternative to the key file (\n escapes are expanded)
+const GITHUB_APP_PRIVATE_KEY = process.env.GITHUB_APP_PRIVATE_KEY;
+// Pin a single installation instead of looking one up per repository owner
+const GITHUB_APP_INSTALLATION_ID = process.env.GITHUB_APP_INSTALLATION_ID;
+// GitLab (gitlab.com or self-hosted) personal or project access token
+const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
+// GitLab web root; repository URLs on this host (and gitlab.com) use the GitLab provider
+const GITLAB_URL = process.env.GITLAB_URL || 'https://gitlab.com';
+// Gitea or Forgejo access token
+const GITEA_TOKEN = process.env.GITEA_TOKEN;
+// Gitea or Forgejo web root; repository URLs on this host (and codeberg.org) use the Gitea provider
+const GITEA_URL = process.env.GITEA_URL;
+// Bitbucket Cloud repository, project or workspace access token
+const BITBUCKET_TOKEN = process.env.BITBUCKET_TOKEN;
+// Bitbucket Cloud username and app password, used when no access token is set
+const BITBUCKET_USERNAME = process.env.BITBUCKET_USERNAME;
+const BITBUCKET_APP_PASSWORD = process.env.BITBUCKET_APP_PASSWORD;
+// JSON alias file mapping every name, address and login a person commits with to one identity
+const AUTHOR_ALIASES_FILE = process.env.AUTHOR_ALIASES_FILE;
+// Report filters used when a command does not set them: leave out bot and merge commits,
+// and count only files matching the include globs and none of the exclude globs (comma-separated)
+const REPORT_EXCLUDE_BOTS = process.env.REPORT_EXCLUDE_BOTS === 'true';
+const REPORT_EXCLUDE_MERGES = process.env.REPORT_EXCLUDE_MERGES === 'true';
+const REPORT_INCLUDE_PATHS = (process.env.REPORT_INCLUDE_PATHS || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+const REPORT_EXCLUDE_PATHS = (process.env.REPORT_EXCLUDE_PATHS || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
 
 module.exports = {
     GITHUB_TOKEN,
     OPENAI_API_KEY,
     DEFAULT_REPO,
-    DEFAULT_DATE
+    DEFAULT_DATE,
+    GITHUB_API_URL,
+    GITHUB_CONCURRENCY,
+    GITHUB_MAX_RETRIES,
+    GITHUB_MAX_RETRY_WAIT,
+    GITHUB_BACKEND,
+    CACHE_DIR,
+    CACHE_MAX_ENTRIES,
+    GITHUB_APP_ID,
+    GITHUB_APP_PRIVATE_KEY_PATH,
+    GITHUB_APP_PRIVATE_KEY,
+    GITHUB_APP_INSTALLATION_ID,
+    GITLAB_TOKEN,
+    GITLAB_URL,
+    GITEA_TOKEN,
+    GITEA_URL,
+    BITBUCKET_TOKEN,
+    BITBUCKET_USERNAME,
+    BITBUCKET_APP_PASSWORD,
+    AUTHOR_ALIASES_FILE,
+    REPORT_EXCLUDE_BOTS,
+    REPORT_EXCLUDE_MERGES,
+    REPORT_INCLUDE_PATHS,
+    REPORT_EXCLUDE_PATHS
 };
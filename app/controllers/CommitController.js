@@ -3,74 +3,339 @@
  * Handles commit-related operations
  */
 
-const GitHubService = require('../services/GitHubService');
+const ProviderRegistry = require('../services/ProviderRegistry');
 const AIAnalysisService = require('../services/AIAnalysisService');
 const ReportService = require('../services/ReportService');
 const Commit = require('../models/Commit');
 const Report = require('../models/Report');
+const RateLimitError = require('../errors/RateLimitError');
+const { resolveCommitFilters, applyCommitFilters, describeCommitFilters } = require('../utils/commitFilters');
 
 class CommitController {
     constructor() {
-        this.githubService = new GitHubService();
+        this.providers = new ProviderRegistry();
+        this.githubService = this.providers.github;
         this.aiAnalysisService = new AIAnalysisService();
         this.reportService = new ReportService();
     }
 
+    /**
+     * Pick the provider that reads a repository (GitHub, GitLab, Gitea, Bitbucket or a local path)
+     * @param {string} repoUrl - Repository URL or local path
+     * @returns {RepositoryProvider} Provider
+     */
+    getService(repoUrl) {
+        return this.providers.getProvider(repoUrl);
+    }
+
+    /**
+     * Resolve the branch to report on: an explicit branch wins, then the ref
+     * in a /tree/<ref> or /commit/<sha> link (HEAD for local paths), then the
+     * repository's default branch
+     * @param {string} repoUrl - Repository URL or local path
+     * @param {string} branch - Explicit branch name (optional)
+     * @returns {Promise<string>} Branch name or SHA
+     */
+    async resolveBranch(repoUrl, branch = null) {
+        if (branch) {
+            return branch;
+        }
+        const service = this.getService(repoUrl);
+        const { owner, repo, ref } = service.extractRepoInfo(repoUrl);
+        return ref || await service.getDefaultBranch(owner, repo);
+    }
+
+    /**
+     * List commits on a branch. When the listing fails or is empty, a missing
+     * branch is reported with the available branch names instead. Only branches
+     * the caller asked for are checked: the default branch and a URL's ref are
+     * taken to exist, so a quiet day does not cost a branch listing.
+     * @param {RepositoryProvider} service - Provider serving the repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Explicitly requested branch name or SHA (null skips the check)
+     * @param {Function} listCommits - Async function returning the commits
+     * @returns {Promise<Array>} Commits
+     */
+    async listBranchCommits(service, owner, repo, branch, listCommits) {
+        let commits;
+        try {
+            commits = await listCommits();
+        } catch (error) {
+            if (!(error instanceof RateLimitError)) {
+                const missing = await service.getMissingBranchError(owner, repo, branch);
+                if (missing) {
+                    throw missing;
+                }
+            }
+            throw error;
+        }
+
+        if (commits.length === 0) {
+            const missing = await service.getMissingBranchError(owner, repo, branch);
+            if (missing) {
+                throw missing;
+            }
+        }
+        return commits;
+    }
+
     /**
      * Get commits for a specific date
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @param {string} date - Target date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @returns {Promise<Array>} Array of commits
      */
-    async getCommitsForDate(repoUrl, date, branch = 'main') {
+    async getCommitsForDate(repoUrl, date, branch = null) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const commits = await this.githubService.getCommitsForDate(owner, repo, date, branch);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const branchName = await this.resolveBranch(repoUrl, branch);
+            const commits = await this.listBranchCommits(service, owner, repo, branch,
+                () => service.getCommitsForDate(owner, repo, date, branchName));
 
             return commits.map(commitData => new Commit(commitData));
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get commits for date: ${error.message}`);
         }
     }
 
     /**
      * Get commits for a date range
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @param {string} fromDate - Start date
      * @param {string} toDate - End date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @param {string} author - Author/committer filter (optional)
+     * @param {Object} options - Extra fetch options (e.g. concurrency)
      * @returns {Promise<Array>} Array of commits
      */
-    async getCommitsForDateRange(repoUrl, fromDate, toDate, branch = 'main', author = null) {
+    async getCommitsForDateRange(repoUrl, fromDate, toDate, branch = null, author = null, options = {}) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const commits = await this.githubService.getCommitsForDateRange(owner, repo, fromDate, toDate, branch, author);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            let commits;
+            if (options.branches) {
+                commits = await service.getCommitsForDateRange(owner, repo, fromDate, toDate, null, author, options);
+            } else {
+                const branchName = await this.resolveBranch(repoUrl, branch);
+                commits = await this.listBranchCommits(service, owner, repo, branch,
+                    () => service.getCommitsForDateRange(owner, repo, fromDate, toDate, branchName, author, options));
+            }
 
             return commits.map(commitData => new Commit(commitData));
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get commits for date range: ${error.message}`);
         }
     }
 
     /**
-     * Get all commits for a repository
+     * Get the commits between two tags, branches or SHAs
+     * @param {string} repoUrl - Repository URL
+     * @param {string} base - Base ref
+     * @param {string} head - Head ref
+     * @param {Object} options - Extra fetch options (e.g. concurrency)
+     * @returns {Promise<Array>} Commits reachable from head but not from base, newest first
+     */
+    async getCommitsBetween(repoUrl, base, head, options = {}) {
+        try {
+            if (!base || !head) {
+                throw new Error('Both a base and a head ref are required');
+            }
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const commits = await service.compareCommits(owner, repo, base, head, options);
+
+            return commits.map(commitData => new Commit(commitData));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to compare refs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the web URL showing the changes between two refs
      * @param {string} repoUrl - Repository URL
-     * @param {string} branch - Branch name
+     * @param {string} base - Base ref
+     * @param {string} head - Head ref
+     * @returns {string|null} Compare URL, or null when the provider has no compare page
+     */
+    getCompareUrl(repoUrl, base, head) {
+        const service = this.getService(repoUrl);
+        const { owner, repo } = service.extractRepoInfo(repoUrl);
+        return service.getCompareUrl(owner, repo, base, head);
+    }
+
+    /**
+     * Get all commits for a repository
+     * @param {string} repoUrl - Repository URL or local path
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
+     * @param {Object} options - Extra fetch options (e.g. paths)
      * @returns {Promise<Array>} Array of commits
      */
-    async getAllCommits(repoUrl, branch = 'main') {
+    async getAllCommits(repoUrl, branch = null, options = {}) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const commits = await this.githubService.getCommits(owner, repo, { branch });
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const branchName = await this.resolveBranch(repoUrl, branch);
+            const commits = await this.listBranchCommits(service, owner, repo, branch,
+                () => service.getCommits(owner, repo, { ...options, branch: branchName }));
 
             return commits.map(commitData => new Commit(commitData));
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get all commits: ${error.message}`);
         }
     }
 
+    /**
+     * Map commits to the pull requests they were merged through
+     * @param {string} repoUrl - Repository URL
+     * @param {Array} commits - Array of commits
+     * @param {Object} options - Extra fetch options (e.g. concurrency)
+     * @returns {Promise<Map>} SHA -> pull request summary
+     */
+    async getPullRequestsForCommits(repoUrl, commits, options = {}) {
+        try {
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            return await service.getPullRequestsForCommits(owner, repo, commits.map(commit => commit.sha), options);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to get pull requests: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the review activity on a repository's pull requests
+     * @param {string} repoUrl - Repository URL
+     * @param {string} since - Start of the range (ISO timestamp)
+     * @param {string} until - End of the range (ISO timestamp)
+     * @param {Object} options - Extra fetch options (e.g. concurrency)
+     * @returns {Promise<Array>} Pull requests with their reviews and review comments
+     */
+    async getReviewActivity(repoUrl, since, until, options = {}) {
+        try {
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            return await service.getReviewActivity(owner, repo, since, until, options);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to get review activity: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the issues opened, closed or commented on within a date range
+     * @param {string} repoUrl - Repository URL
+     * @param {string} since - Start of the range (ISO timestamp)
+     * @param {string} until - End of the range (ISO timestamp)
+     * @returns {Promise<Array|null>} Issues, or null when the provider has no issue support
+     */
+    async getIssueActivity(repoUrl, since, until) {
+        try {
+            const service = this.getService(repoUrl);
+            if (!service.supports('getIssueActivity')) {
+                return null;
+            }
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            return await service.getIssueActivity(owner, repo, since, until);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to get issue activity: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the repository's .mailmap
+     * @param {string} repoUrl - Repository URL or local path
+     * @param {string} branch - Branch to read it from (defaults to the URL's ref, then the default branch)
+     * @returns {Promise<string|null>} .mailmap content, or null when there is none or the provider cannot read files
+     */
+    async getMailmap(repoUrl, branch = null) {
+        try {
+            const service = this.getService(repoUrl);
+            if (!service.supports('getFileContent')) {
+                return null;
+            }
+            const { owner, repo, ref } = service.extractRepoInfo(repoUrl);
+            return await service.getFileContent(owner, repo, '.mailmap', branch || ref);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to read .mailmap: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the tag a changelog version was released as: the version itself, or with a "v" prefix
+     * added or removed
+     * @param {string} repoUrl - Repository URL or local path
+     * @param {string} version - Version label, e.g. "1.4.0"
+     * @returns {Promise<string|null>} Tag name, or null when there is no such tag or the provider
+     *   cannot list tags and compare refs
+     */
+    async findReleaseTag(repoUrl, version) {
+        try {
+            const service = this.getService(repoUrl);
+            if (!service.supports('getTags') || !service.supports('compareCommits')) {
+                return null;
+            }
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const tags = await service.getTags(owner, repo);
+            const bare = version.replace(/^v/, '');
+            return [version, bare, `v${bare}`].find(candidate => tags.includes(candidate)) || null;
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to look up release tag: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the logins of a team's members
+     * @param {string} repoUrl - Repository URL; its provider is asked for the team
+     * @param {string} team - Team as "org/team-slug"
+     * @returns {Promise<Array>} Member logins
+     */
+    async getTeamMembers(repoUrl, team) {
+        try {
+            const match = (team || '').match(/^([^/\s]+)\/([^/\s]+)$/);
+            if (!match) {
+                throw new Error(`Team "${team}" must be given as org/team-slug`);
+            }
+            const service = this.getService(repoUrl);
+            if (!service.supports('getTeamMembers')) {
+                throw new Error('team filters are only available for GitHub repositories');
+            }
+            return await service.getTeamMembers(match[1], match[2]);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to get team members: ${error.message}`);
+        }
+    }
+
     /**
      * Filter commits by date
      * @param {Array} commits - Array of commits
@@ -87,16 +352,17 @@ class CommitController {
 
     /**
      * Get contributors (authors/committers) for a repository
-     * @param {string} repoUrl - Repository URL
-     * @param {string} branch - Branch name
+     * @param {string} repoUrl - Repository URL or local path
+     * @param {string} branch - Branch name (unused; contributors cover the default branch)
      * @returns {Promise<Array>} Array of contributors
      */
-    async getRepositoryContributors(repoUrl, branch = 'main') {
+    async getRepositoryContributors(repoUrl, branch = null) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const contributors = await this.githubService.getRepositoryContributors(owner, repo);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const contributors = await service.getRepositoryContributors(owner, repo);
             // Also get recent commits to get more contributors
-            // const commits = await this.githubService.getCommits(owner, repo, { branch, per_page: 100 });
+            // const commits = await service.getCommits(owner, repo, { branch, per_page: 100 });
 
             const contributorMap = new Map();
 
@@ -145,6 +411,9 @@ class CommitController {
             return Array.from(contributorMap.values()).sort((a, b) => b.contributions - a.contributions);
 
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository contributors: ${error.message}`);
         }
     }
@@ -152,10 +421,15 @@ class CommitController {
     /**
      * Get commit statistics
      * @param {Array} commits - Array of commits
-     * @returns {Object} Statistics
+     * @param {Object} options - credit: how contributors share a co-authored commit ('full' or 'split');
+     *   filters: commit filters (excludeBots, excludeMerges, includePaths, excludePaths), unset ones taken from the config
+     * @returns {Object} Statistics, with descriptions of the filters applied
      */
-    getCommitStatistics(commits) {
-        if (!commits || commits.length === 0) {
+    getCommitStatistics(commits, options = {}) {
+        const filters = resolveCommitFilters(options.filters);
+        commits = applyCommitFilters(commits || [], filters);
+
+        if (commits.length === 0) {
             return {
                 totalCommits: 0,
                 totalAdditions: 0,
@@ -163,7 +437,8 @@ class CommitController {
                 netChanges: 0,
                 averageChangesPerCommit: 0,
                 topContributors: [],
-                fileStatistics: []
+                fileStatistics: [],
+                filters: describeCommitFilters(filters)
             };
         }
 
@@ -173,26 +448,8 @@ class CommitController {
         const netChanges = totalAdditions - totalDeletions;
         const averageChangesPerCommit = Math.round((totalAdditions + totalDeletions) / totalCommits);
 
-        // Get top contributors
-        const contributors = {};
-        commits.forEach(commit => {
-            const author = commit.author.name;
-            if (!contributors[author]) {
-                contributors[author] = {
-                    name: author,
-                    email: commit.author.email,
-                    commits: 0,
-                    additions: 0,
-                    deletions: 0
-                };
-            }
-
-            contributors[author].commits++;
-            contributors[author].additions += commit.stats.additions;
-            contributors[author].deletions += commit.stats.deletions;
-        });
-
-        const topContributors = Object.values(contributors)
+        // Get top contributors, co-authors included
+        const topContributors = Commit.getContributorStatistics(commits, options.credit)
             .sort((a, b) => b.commits - a.commits)
             .slice(0, 5);
 
@@ -228,7 +485,8 @@ class CommitController {
             netChanges,
             averageChangesPerCommit,
             topContributors,
-            fileStatistics
+            fileStatistics,
+            filters: describeCommitFilters(filters)
         };
     }
 
@@ -286,17 +544,21 @@ class CommitController {
 
     /**
      * Get commit details
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @param {string} sha - Commit SHA
      * @returns {Promise<Commit>} Commit details
      */
     async getCommitDetails(repoUrl, sha) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const commitData = await this.githubService.getCommitDetails(owner, repo, sha);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const commitData = await service.getCommitDetails(owner, repo, sha);
 
             return new Commit(commitData);
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get commit details: ${error.message}`);
         }
     }
@@ -313,16 +575,20 @@ class CommitController {
 
     /**
      * Get commit diff/patch
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @param {string} sha - Commit SHA
      * @returns {Promise<Object>} Commit diff data
      */
     async getCommitDiff(repoUrl, sha) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const diff = await this.githubService.getCommitDiff(owner, repo, sha);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const diff = await service.getCommitDiff(owner, repo, sha);
             return diff;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get commit diff: ${error.message}`);
         }
     }
@@ -7,13 +7,53 @@ const ReportService = require('../services/ReportService');
 const CommitController = require('./CommitController');
 const RepositoryController = require('./RepositoryController');
 const Report = require('../models/Report');
+const ReportView = require('../views/ReportView');
+const ReleaseNotesService = require('../services/ReleaseNotesService');
+const AIAnalysisService = require('../services/AIAnalysisService');
+const ChangelogService = require('../services/ChangelogService');
+const IdentityService = require('../services/IdentityService');
+const { createInsertionDiff } = require('../utils/diff');
+const { resolveCommitFilters, hasPathFilters, applyCommitFilters, describeCommitFilters } = require('../utils/commitFilters');
 const moment = require('moment');
+const path = require('path');
+const RateLimitError = require('../errors/RateLimitError');
+const { AUTHOR_ALIASES_FILE } = require('../config/config');
+
+// How quick reports list commits: one by one, or grouped under their pull requests
+const GROUP_BY_MODES = ['commit', 'pr'];
 
 class ReportController {
     constructor() {
         this.reportService = new ReportService();
         this.commitController = new CommitController();
         this.repositoryController = new RepositoryController();
+        this.reportView = new ReportView();
+        this.releaseNotesService = new ReleaseNotesService(this.commitController.aiAnalysisService);
+        this.changelogService = new ChangelogService();
+    }
+
+    /**
+     * Resolve the branch a report will cover
+     * @param {string} repoUrl - Repository URL
+     * @param {string} branch - Explicit branch name (optional)
+     * @returns {Promise<string>} Branch name or SHA
+     */
+    async resolveBranch(repoUrl, branch = null) {
+        return await this.commitController.resolveBranch(repoUrl, branch);
+    }
+
+    /**
+     * Describe the branches a report will cover, for headers and summaries
+     * @param {string} repoUrl - Repository URL
+     * @param {string} branch - Explicit branch name (optional)
+     * @param {Object} options - Fetch options; `branches` lists branch globs
+     * @returns {Promise<string>} e.g. "main", "all branches" or "main, feature/*"
+     */
+    async describeBranches(repoUrl, branch = null, options = {}) {
+        if (options.branches) {
+            return options.branches.includes('**') ? 'all branches' : options.branches.join(', ');
+        }
+        return await this.resolveBranch(repoUrl, branch);
     }
 
     /**
@@ -21,13 +61,21 @@ class ReportController {
      * @param {string} repoUrl - Repository URL
      * @param {string} fromDate - Start date
      * @param {string} toDate - End date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @param {string} format - Output format
-     * @param {string} author - Author/committer filter (optional)
+     * @param {string|Array} author - Author filter: one or more emails, GitHub logins or names (optional)
+     * @param {Object} options - Extra fetch options (concurrency, backend, includeFiles, branches), groupBy ('commit' or 'pr'),
+     *   includeIssues (append an "Issues" section), team ("org/team-slug", adding its members to the author filter),
+     *   filters (commit filters; see getResolvedCommits) and identity options (mailmap, aliasFile; see loadIdentities)
      * @returns {Promise<Object>} Report data
      */
-    async generateQuickReport(repoUrl, fromDate, toDate, branch = 'main', format = 'text', author = null) {
+    async generateQuickReport(repoUrl, fromDate, toDate, branch = null, format = 'text', author = null, options = {}) {
         try {
+            const { groupBy = 'commit', includeIssues = false, team = null, filters, mailmap, aliasFile, ...fetchOptions } = options;
+            if (!GROUP_BY_MODES.includes(groupBy)) {
+                throw new Error(`Unknown grouping "${groupBy}". Use ${GROUP_BY_MODES.map(mode => `"${mode}"`).join(' or ')}`);
+            }
+
             // Validate inputs
             if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
                 throw new Error('Invalid repository URL');
@@ -41,49 +89,78 @@ class ReportController {
                 throw new Error('From date cannot be after to date');
             }
 
-            // Get commits (with author filtering at API level)
-            const commits = await this.commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch, author);
+            // Get commits with canonical author identities; quick reports list each commit's files unless told not to
+            const commits = await this.getResolvedCommits(
+                repoUrl, fromDate, toDate, branch, { author, team, filters },
+                { ...fetchOptions, includeFiles: fetchOptions.includeFiles !== false }, { mailmap, aliasFile }
+            );
+            const authorText = this.describeAuthorFilter(author, team);
+            const filterDescriptions = describeCommitFilters(resolveCommitFilters(filters));
 
             if (commits.length === 0) {
-                const authorText = author ? ` by ${author}` : '';
                 return {
-                    report: `No commits found for the date range ${fromDate} to ${toDate}${authorText}`,
-                    filename: `no-commits-${fromDate}-to-${toDate}${author ? `-${author}` : ''}.txt`,
+                    report: `No commits found for the date range ${fromDate} to ${toDate}${authorText ? ` by ${authorText}` : ''}`,
+                    filename: `no-commits-${fromDate}-to-${toDate}${authorText ? `-${this.toFilenamePart(authorText)}` : ''}.txt`,
                     summary: {
                         totalCommits: 0,
                         totalAdditions: 0,
                         totalDeletions: 0,
                         netChanges: 0,
                         dateRange: `${fromDate} to ${toDate}`,
-                        author: author || 'All contributors'
+                        author: authorText || 'All contributors',
+                        filters: filterDescriptions
                     }
                 };
             }
 
             // Generate report
             const dateRange = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
-            const report = this.reportService.generateQuickReport(commits, dateRange, format);
+            let report;
+            let pullRequests = null;
+            if (groupBy === 'pr') {
+                pullRequests = await this.commitController.getPullRequestsForCommits(repoUrl, commits, fetchOptions);
+                report = this.reportService.generatePullRequestReport(commits, pullRequests, dateRange, format, filterDescriptions);
+            } else {
+                report = this.reportService.generateQuickReport(commits, dateRange, format, filterDescriptions);
+            }
+            const issues = includeIssues ? await this.getIssueActivity(repoUrl, fromDate, toDate) : null;
+            if (issues) {
+                report += this.reportService.generateIssueSection(issues, commits, format);
+            }
 
             // Generate filename
-            const filename = this.reportService.generateFilename('quick', dateRange, format);
+            const filename = this.reportService.generateFilename(groupBy === 'pr' ? 'pr' : 'quick', dateRange, format);
 
             // Get statistics
             const statistics = this.reportService.getReportStatistics(commits);
 
+            const summary = {
+                totalCommits: statistics.totalCommits,
+                totalAdditions: statistics.totalAdditions,
+                totalDeletions: statistics.totalDeletions,
+                netChanges: statistics.netChanges,
+                dateRange: `${fromDate} to ${toDate}`,
+                author: authorText || 'All contributors',
+                filters: filterDescriptions
+            };
+            if (pullRequests) {
+                summary.pullRequests = new Set([...pullRequests.values()].map(pullRequest => pullRequest.number)).size;
+                summary.directPushes = commits.filter(commit => !pullRequests.has(commit.sha)).length;
+            }
+            if (issues) {
+                Object.assign(summary, this.getIssueSummary(issues));
+            }
+
             return {
                 report,
                 filename,
-                summary: {
-                    totalCommits: statistics.totalCommits,
-                    totalAdditions: statistics.totalAdditions,
-                    totalDeletions: statistics.totalDeletions,
-                    netChanges: statistics.netChanges,
-                    dateRange: `${fromDate} to ${toDate}`,
-                    author: author || 'All contributors'
-                }
+                summary
             };
 
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to generate quick report: ${error.message}`);
         }
     }
@@ -93,14 +170,18 @@ class ReportController {
      * @param {string} repoUrl - Repository URL
      * @param {string} fromDate - Start date
      * @param {string} toDate - End date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @param {string} format - Output format
      * @param {string} openaiKey - OpenAI API key
-     * @param {string} author - Author/committer filter (optional)
+     * @param {string|Array} author - Author filter: one or more emails, GitHub logins or names (optional)
+     * @param {Object} options - Extra fetch options (concurrency, backend, branches), includeIssues (append an "Issues" section),
+     *   team ("org/team-slug"), filters (commit filters; see getResolvedCommits) and identity options (mailmap, aliasFile)
      * @returns {Promise<Object>} Report data
      */
-    async generateEnhancedReport(repoUrl, fromDate, toDate, branch = 'main', format = 'text', openaiKey = null, author = null) {
+    async generateEnhancedReport(repoUrl, fromDate, toDate, branch = null, format = 'text', openaiKey = null, author = null, options = {}) {
         try {
+            const { includeIssues = false, team = null, filters, mailmap, aliasFile, ...fetchOptions } = options;
+
             // Validate inputs
             if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
                 throw new Error('Invalid repository URL');
@@ -114,21 +195,25 @@ class ReportController {
                 throw new Error('From date cannot be after to date');
             }
 
-            // Get commits (with author filtering at API level)
-            const commits = await this.commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch, author);
+            // Get commits with canonical author identities; the analysis always needs file lists
+            const commits = await this.getResolvedCommits(
+                repoUrl, fromDate, toDate, branch, { author, team, filters }, { ...fetchOptions, includeFiles: true }, { mailmap, aliasFile }
+            );
+            const authorText = this.describeAuthorFilter(author, team);
+            const filterDescriptions = describeCommitFilters(resolveCommitFilters(filters));
 
             if (commits.length === 0) {
-                const authorText = author ? ` by ${author}` : '';
                 return {
-                    report: `No commits found for the date range ${fromDate} to ${toDate}${authorText}`,
-                    filename: `no-commits-${fromDate}-to-${toDate}${author ? `-${author}` : ''}.txt`,
+                    report: `No commits found for the date range ${fromDate} to ${toDate}${authorText ? ` by ${authorText}` : ''}`,
+                    filename: `no-commits-${fromDate}-to-${toDate}${authorText ? `-${this.toFilenamePart(authorText)}` : ''}.txt`,
                     summary: {
                         totalCommits: 0,
                         totalAdditions: 0,
                         totalDeletions: 0,
                         netChanges: 0,
                         dateRange: `${fromDate} to ${toDate}`,
-                        author: author || 'All contributors',
+                        author: authorText || 'All contributors',
+                        filters: filterDescriptions,
                         aiAnalysis: false
                     }
                 };
@@ -136,12 +221,17 @@ class ReportController {
 
             // Generate report with AI analysis
             const dateRange = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
-            const report = await this.reportService.generateEnhancedReport(
+            let report = await this.reportService.generateEnhancedReport(
                 commits,
                 dateRange,
                 format,
-                openaiKey ? (commit) => this.commitController.analyzeCommitsWithAI([commit]) : null
+                openaiKey ? (commit) => this.commitController.analyzeCommitsWithAI([commit]) : null,
+                filterDescriptions
             );
+            const issues = includeIssues ? await this.getIssueActivity(repoUrl, fromDate, toDate) : null;
+            if (issues) {
+                report += this.reportService.generateIssueSection(issues, commits, format);
+            }
 
             // Generate filename
             const filename = this.reportService.generateFilename('enhanced', dateRange, format);
@@ -149,6 +239,87 @@ class ReportController {
             // Get statistics
             const statistics = this.reportService.getReportStatistics(commits);
 
+            const summary = {
+                totalCommits: statistics.totalCommits,
+                totalAdditions: statistics.totalAdditions,
+                totalDeletions: statistics.totalDeletions,
+                netChanges: statistics.netChanges,
+                dateRange: `${fromDate} to ${toDate}`,
+                author: authorText || 'All contributors',
+                filters: filterDescriptions,
+                aiAnalysis: !!openaiKey
+            };
+            if (issues) {
+                Object.assign(summary, this.getIssueSummary(issues));
+            }
+
+            return {
+                report,
+                filename,
+                summary
+            };
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate enhanced report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate a quick or enhanced report for the commits between two tags, branches or SHAs
+     * @param {string} repoUrl - Repository URL
+     * @param {string} base - Base ref, e.g. v1.4.0
+     * @param {string} head - Head ref, e.g. v1.5.0
+     * @param {string} reportType - 'quick' or 'enhanced'
+     * @param {string} format - Output format
+     * @param {string} openaiKey - OpenAI API key (enhanced only)
+     * @param {Object} options - Extra fetch options (concurrency)
+     * @returns {Promise<Object>} Report data
+     */
+    async generateCompareReport(repoUrl, base, head, reportType = 'quick', format = 'text', openaiKey = null, options = {}) {
+        try {
+            if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
+                throw new Error('Invalid repository URL');
+            }
+
+            if (!['quick', 'enhanced'].includes(reportType)) {
+                throw new Error(`Unknown report type "${reportType}". Use "quick" or "enhanced"`);
+            }
+
+            const enhanced = reportType === 'enhanced';
+            const range = `${base}...${head}`;
+            const commits = await this.commitController.getCommitsBetween(repoUrl, base, head, options);
+
+            if (commits.length === 0) {
+                return {
+                    report: `No commits found between ${base} and ${head}`,
+                    filename: `no-commits-${this.toFilenamePart(range)}.txt`,
+                    summary: {
+                        totalCommits: 0,
+                        totalAdditions: 0,
+                        totalDeletions: 0,
+                        netChanges: 0,
+                        base,
+                        head,
+                        ...(enhanced ? { aiAnalysis: false } : {})
+                    }
+                };
+            }
+
+            const report = enhanced
+                ? await this.reportService.generateEnhancedReport(
+                    commits,
+                    range,
+                    format,
+                    openaiKey ? (commit) => this.commitController.analyzeCommitsWithAI([commit]) : null
+                )
+                : this.reportService.generateQuickReport(commits, range, format);
+
+            const filename = this.reportService.generateFilename(enhanced ? 'compare-enhanced' : 'compare', this.toFilenamePart(range), format);
+            const statistics = this.reportService.getReportStatistics(commits);
+
             return {
                 report,
                 filename,
@@ -157,17 +328,353 @@ class ReportController {
                     totalAdditions: statistics.totalAdditions,
                     totalDeletions: statistics.totalDeletions,
                     netChanges: statistics.netChanges,
-                    dateRange: `${fromDate} to ${toDate}`,
-                    author: author || 'All contributors',
-                    aiAnalysis: !!openaiKey
+                    base,
+                    head,
+                    ...(enhanced ? { aiAnalysis: !!openaiKey } : {})
                 }
             };
 
         } catch (error) {
-            throw new Error(`Failed to generate enhanced report: ${error.message}`);
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate compare report: ${error.message}`);
         }
     }
 
+    /**
+     * Get the release notes service for one call: with an OpenAI key, one that classifies with that key
+     * @param {string} openaiKey - OpenAI API key (optional)
+     * @returns {ReleaseNotesService} Release notes service
+     */
+    getReleaseNotesService(openaiKey = null) {
+        return openaiKey ? new ReleaseNotesService(new AIAnalysisService(openaiKey)) : this.releaseNotesService;
+    }
+
+    /**
+     * Generate release notes for the commits between two tags, grouped by change type
+     * @param {string} repoUrl - Repository URL
+     * @param {string} fromTag - Previous release tag
+     * @param {string} toTag - Release tag the notes are for
+     * @param {string} style - 'keep-a-changelog' or 'github'
+     * @param {string} openaiKey - OpenAI API key; enables AI classification of non-conventional messages
+     * @param {Object} options - Extra fetch options (concurrency)
+     * @returns {Promise<Object>} Report data; the summary counts changes per type
+     */
+    async generateReleaseNotes(repoUrl, fromTag, toTag, style = 'keep-a-changelog', openaiKey = null, options = {}) {
+        try {
+            if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
+                throw new Error('Invalid repository URL');
+            }
+
+            if (!ReleaseNotesService.STYLES.includes(style)) {
+                throw new Error(`Unknown release notes style "${style}". Use ${ReleaseNotesService.STYLES.map(name => `"${name}"`).join(' or ')}`);
+            }
+
+            const commits = await this.commitController.getCommitsBetween(repoUrl, fromTag, toTag, options);
+            const groups = await this.getReleaseNotesService(openaiKey).groupCommits(commits, !!openaiKey);
+            const report = this.releaseNotesService.formatReleaseNotes(groups, style, {
+                version: toTag,
+                date: this.releaseNotesService.getReleaseDate(commits),
+                compareUrl: this.commitController.getCompareUrl(repoUrl, fromTag, toTag)
+            });
+
+            return {
+                report,
+                filename: this.reportService.generateFilename('release-notes', this.toFilenamePart(`${fromTag}...${toTag}`), 'markdown'),
+                summary: {
+                    totalCommits: commits.length,
+                    base: fromTag,
+                    head: toTag,
+                    changes: Object.fromEntries(Object.entries(groups).map(([type, entries]) => [type, entries.length]))
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate release notes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a section for the commits since the last recorded release to the top of a
+     * Keep a Changelog style changelog. Older entries are left untouched; an existing
+     * [Unreleased] section is regenerated, or taken over by the new release.
+     * When the last release's tag is found, the section covers the commits after that tag.
+     * Otherwise it covers the commits since the release date that no release section lists.
+     * @param {string} repoUrl - Repository URL
+     * @param {string} filePath - Changelog path (created when missing)
+     * @param {string} version - Label of the new section
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
+     * @param {string} openaiKey - OpenAI API key; enables AI classification of non-conventional messages
+     * @param {Object} options - dryRun (compute the diff without writing) and extra fetch options (concurrency)
+     * @returns {Promise<Object>} { filePath, since, totalCommits, diff, written }; diff is '' when there was nothing to add
+     */
+    async updateChangelog(repoUrl, filePath, version = 'Unreleased', branch = null, openaiKey = null, options = {}) {
+        try {
+            const { dryRun = false, ...fetchOptions } = options;
+
+            if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
+                throw new Error('Invalid repository URL');
+            }
+
+            const unreleased = version === 'Unreleased';
+            const content = await this.changelogService.readChangelog(filePath);
+            if (!unreleased && this.changelogService.getReleases(content).some(release => release.version === version)) {
+                throw new Error(`${path.basename(filePath)} already has a [${version}] section`);
+            }
+
+            const latest = this.changelogService.findLatestRelease(content);
+            const latestTag = latest ? await this.commitController.findReleaseTag(repoUrl, latest.version) : null;
+            let commits;
+            if (latestTag) {
+                const head = await this.commitController.resolveBranch(repoUrl, branch);
+                commits = await this.commitController.getCommitsBetween(repoUrl, latestTag, head, fetchOptions);
+            } else if (latest) {
+                // Releases are recorded by day: start on the release day and skip what was released
+                const released = this.changelogService.getReleasedShas(content);
+                commits = (await this.commitController.getCommitsForDateRange(
+                    repoUrl,
+                    latest.date,
+                    moment().add(1, 'day').format('YYYY-MM-DD'),
+                    branch,
+                    null,
+                    fetchOptions
+                )).filter(commit => !released.has(commit.sha.substring(0, 7)));
+            } else {
+                commits = await this.commitController.getAllCommits(repoUrl, branch, fetchOptions);
+            }
+
+            const groups = await this.getReleaseNotesService(openaiKey).groupCommits(commits, !!openaiKey);
+            const result = {
+                filePath,
+                since: latest,
+                totalCommits: commits.length,
+                diff: '',
+                written: false
+            };
+            if (Object.values(groups).every(entries => entries.length === 0)) {
+                return result;
+            }
+
+            const section = this.releaseNotesService.formatKeepAChangelog(groups, {
+                version,
+                date: unreleased ? null : moment().format('YYYY-MM-DD')
+            });
+
+            // Tag the new release the way the last one was tagged, e.g. "v1.5.0" after "v1.4.0"
+            const tagPrefix = latestTag && latestTag.endsWith(latest.version) ? latestTag.slice(0, -latest.version.length) : '';
+            const versionTag = version.startsWith(tagPrefix) ? version : `${tagPrefix}${version}`;
+            const compareUrl = latestTag ? this.commitController.getCompareUrl(repoUrl, latestTag, unreleased ? 'HEAD' : versionTag) : null;
+            const unreleasedUrl = unreleased ? null : this.commitController.getCompareUrl(repoUrl, versionTag, 'HEAD');
+            const updated = this.changelogService.insertRelease(
+                content,
+                section,
+                compareUrl ? this.releaseNotesService.formatLinkReference(version, compareUrl) : null,
+                unreleasedUrl ? this.releaseNotesService.formatLinkReference('Unreleased', unreleasedUrl) : null
+            );
+
+            result.diff = createInsertionDiff(content, updated, path.basename(filePath));
+            if (!dryRun) {
+                await this.changelogService.writeChangelog(filePath, updated);
+                result.written = true;
+            }
+            return result;
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to update changelog: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make a ref range safe to use in a filename
+     * @param {string} value - e.g. "release/1.4...v1.5.0"
+     * @returns {string} e.g. "release-1.4...v1.5.0"
+     */
+    toFilenamePart(value) {
+        return value.replace(/[\\/:*?"<>|\s]+/g, '-');
+    }
+
+    /**
+     * Get the issue activity for a report's date range, both dates inclusive
+     * @param {string} repoUrl - Repository URL
+     * @param {string} fromDate - Start date
+     * @param {string} toDate - End date
+     * @returns {Promise<Array|null>} Issues, or null when the provider has no issue support
+     */
+    async getIssueActivity(repoUrl, fromDate, toDate) {
+        const since = moment.utc(fromDate).toISOString();
+        const until = moment.utc(toDate).endOf('day').toISOString();
+        return await this.commitController.getIssueActivity(repoUrl, since, until);
+    }
+
+    /**
+     * Count issue activity for report summaries
+     * @param {Array} issues - Issues from getIssueActivity
+     * @returns {Object} { issuesOpened, issuesClosed, issuesCommented }
+     */
+    getIssueSummary(issues) {
+        return {
+            issuesOpened: issues.filter(issue => issue.opened).length,
+            issuesClosed: issues.filter(issue => issue.closed).length,
+            issuesCommented: issues.filter(issue => issue.comments > 0).length
+        };
+    }
+
+    /**
+     * Generate a pull request review activity report: reviews given, approvals,
+     * change requests and review comments per person, with median time to first review
+     * @param {string} repoUrl - Repository URL
+     * @param {string} fromDate - Start date
+     * @param {string} toDate - End date (inclusive)
+     * @param {string} format - Output format (text, markdown, html, json)
+     * @param {Object} options - Extra fetch options (concurrency)
+     * @returns {Promise<Object>} Report data
+     */
+    async generateReviewReport(repoUrl, fromDate, toDate, format = 'text', options = {}) {
+        try {
+            // Validate inputs
+            if (!this.repositoryController.validateRepositoryUrl(repoUrl)) {
+                throw new Error('Invalid repository URL');
+            }
+
+            if (!moment(fromDate, 'YYYY-MM-DD', true).isValid() || !moment(toDate, 'YYYY-MM-DD', true).isValid()) {
+                throw new Error('Invalid date format. Use YYYY-MM-DD');
+            }
+
+            if (moment(fromDate).isAfter(moment(toDate))) {
+                throw new Error('From date cannot be after to date');
+            }
+
+            if (!this.reportView.formats[format]) {
+                throw new Error(`Unknown format "${format}". Use ${Object.keys(this.reportView.formats).join(', ')}`);
+            }
+
+            const since = moment.utc(fromDate).toISOString();
+            const until = moment.utc(toDate).endOf('day').toISOString();
+            const pullRequests = await this.commitController.getReviewActivity(repoUrl, since, until, options);
+            const statistics = this.reportService.getReviewStatistics(pullRequests, since, until);
+
+            const dateRange = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
+            let report;
+            if (format === 'json') {
+                report = this.reportView.formatJsonReport({ repository: repoUrl, dateRange, ...statistics });
+            } else if (format === 'html') {
+                report = this.reportView.formatHtmlReport({
+                    report: this.reportService.generateReviewReport(statistics, dateRange, 'markdown'),
+                    title: 'Pull Request Review Report'
+                });
+            } else {
+                report = this.reportService.generateReviewReport(statistics, dateRange, format);
+            }
+
+            return {
+                report,
+                filename: this.reportView.generateFilename('reviews', dateRange, format),
+                summary: {
+                    totalReviews: statistics.totalReviews,
+                    reviewComments: statistics.reviewComments,
+                    pullRequestsReviewed: statistics.pullRequestsReviewed,
+                    reviewers: statistics.reviewers.length,
+                    medianHoursToFirstReview: statistics.medianHoursToFirstReview,
+                    dateRange: `${fromDate} to ${toDate}`
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate review report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the rules that map the identities people commit with to canonical ones
+     * @param {string} repoUrl - Repository URL
+     * @param {string} branch - Branch to read .mailmap from (optional)
+     * @param {Object} options - mailmap (false to ignore the repository's .mailmap) and
+     *   aliasFile (alias file path; defaults to AUTHOR_ALIASES_FILE)
+     * @returns {Promise<IdentityService>} Identity resolver
+     */
+    async loadIdentities(repoUrl, branch = null, { mailmap = true, aliasFile = AUTHOR_ALIASES_FILE } = {}) {
+        const [mailmapContent, aliases] = await Promise.all([
+            mailmap ? this.commitController.getMailmap(repoUrl, branch) : null,
+            aliasFile ? IdentityService.loadAliasFile(aliasFile) : []
+        ]);
+        return new IdentityService({ mailmap: mailmapContent || '', aliases });
+    }
+
+    /**
+     * Get commits for a date range with canonical author identities, then apply the commit filters.
+     * The author filter is left to the provider when it names one person and no .mailmap, alias file
+     * or team is involved; otherwise it is applied here, so an email or login matches every address of the person.
+     * @param {string} repoUrl - Repository URL
+     * @param {string} fromDate - Start date
+     * @param {string} toDate - End date
+     * @param {string} branch - Branch name (optional)
+     * @param {Object} filter - author (one or more emails, GitHub logins or names), team ("org/team-slug") and
+     *   filters (excludeBots, excludeMerges, paths, includePaths, excludePaths; unset ones come from the config).
+     *   A path scope (paths) is also passed to the provider, which lists only the commits under it where it can.
+     * @param {Object} fetchOptions - Fetch options
+     * @param {Object} identityOptions - Identity options (mailmap, aliasFile)
+     * @returns {Promise<Array>} Commits
+     */
+    async getResolvedCommits(repoUrl, fromDate, toDate, branch, { author = null, team = null, filters = {} } = {}, fetchOptions = {}, identityOptions = {}) {
+        const identities = await this.loadIdentities(repoUrl, branch, identityOptions);
+        const authors = [].concat(author || []);
+        const providerAuthor = authors.length === 1 && !team && !identities.hasRules() ? authors[0] : null;
+        const commitFilters = resolveCommitFilters(filters);
+        // Path filters work on each commit's file list
+        const pathOptions = hasPathFilters(commitFilters) ? { includeFiles: true, paths: commitFilters.paths } : {};
+
+        const commits = identities.resolveCommits(await this.commitController.getCommitsForDateRange(
+            repoUrl, fromDate, toDate, branch, providerAuthor, { ...fetchOptions, ...pathOptions }
+        ));
+        const authored = providerAuthor ? commits : await this.filterByAuthors(repoUrl, commits, identities, authors, team);
+        return applyCommitFilters(authored, commitFilters);
+    }
+
+    /**
+     * Keep the commits authored or committed by any of the given people or team members
+     * @param {string} repoUrl - Repository URL (for looking up the team)
+     * @param {Array} commits - Commits returned by identities.resolveCommits
+     * @param {IdentityService} identities - Identity resolver that resolved the commits
+     * @param {Array} authors - Emails, GitHub logins or names
+     * @param {string} team - Team as "org/team-slug" (optional)
+     * @returns {Promise<Array>} Matching commits; all commits when no author or team is given
+     */
+    async filterByAuthors(repoUrl, commits, identities, authors = [], team = null) {
+        if (authors.length === 0 && !team) {
+            return commits;
+        }
+
+        const members = team ? await this.commitController.getTeamMembers(repoUrl, team) : [];
+        return commits.filter(commit =>
+            authors.some(author => identities.matchesAuthor(commit, author))
+            || members.some(login => identities.matchesLogin(commit, login))
+        );
+    }
+
+    /**
+     * Describe an author filter for report headers, summaries and filenames
+     * @param {string|Array} author - One or more emails, GitHub logins or names
+     * @param {string} team - Team as "org/team-slug" (optional)
+     * @returns {string|null} e.g. "ada, bo@example.com, team acme/web", or null without a filter
+     */
+    describeAuthorFilter(author, team = null) {
+        const parts = [].concat(author || []);
+        if (team) {
+            parts.push(`team ${team}`);
+        }
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
     /**
      * Filter commits by author/committer
      * @param {Array} commits - Array of commits
@@ -233,22 +740,34 @@ class ReportController {
      * @param {string} repoUrl - Repository URL
      * @param {string} fromDate - Start date
      * @param {string} toDate - End date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
+     * @param {Object} options - Extra fetch options (concurrency, backend, includeFiles, branches), credit
+     *   (how contributors share a co-authored commit: 'full' or 'split'), author, team and commit filters
+     *   (see getResolvedCommits) and identity options (mailmap, aliasFile)
      * @returns {Promise<Object>} Report summary
      */
-    async getReportSummary(repoUrl, fromDate, toDate, branch = 'main') {
+    async getReportSummary(repoUrl, fromDate, toDate, branch = null, options = {}) {
         try {
-            const commits = await this.commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch);
-            const statistics = this.commitController.getCommitStatistics(commits);
+            const { credit = 'full', author = null, team = null, filters, mailmap, aliasFile, ...fetchOptions } = options;
+            // The statistics list the most changed files unless file lists are turned off
+            const commits = await this.getResolvedCommits(
+                repoUrl, fromDate, toDate, branch, { author, team, filters },
+                { ...fetchOptions, includeFiles: fetchOptions.includeFiles !== false }, { mailmap, aliasFile }
+            );
+            const statistics = this.commitController.getCommitStatistics(commits, { credit, filters });
 
             return {
                 dateRange: `${fromDate} to ${toDate}`,
                 repository: repoUrl,
-                branch: branch,
+                branch: await this.describeBranches(repoUrl, branch, fetchOptions),
+                author: this.describeAuthorFilter(author, team) || 'All contributors',
                 statistics: statistics,
                 hasCommits: commits.length > 0
             };
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get report summary: ${error.message}`);
         }
     }
@@ -257,12 +776,12 @@ class ReportController {
      * Generate report for a specific date
      * @param {string} repoUrl - Repository URL
      * @param {string} date - Target date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @param {string} format - Output format
      * @param {boolean} useAI - Whether to use AI analysis
      * @returns {Promise<Object>} Report data
      */
-    async generateReportForDate(repoUrl, date, branch = 'main', format = 'text', useAI = false) {
+    async generateReportForDate(repoUrl, date, branch = null, format = 'text', useAI = false) {
         try {
             if (useAI) {
                 return await this.generateEnhancedReport(repoUrl, date, date, branch, format);
@@ -270,6 +789,9 @@ class ReportController {
                 return await this.generateQuickReport(repoUrl, date, date, branch, format);
             }
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to generate report for date: ${error.message}`);
         }
     }
@@ -279,12 +801,12 @@ class ReportController {
      * @param {string} repoUrl - Repository URL
      * @param {string} fromDate - Start date
      * @param {string} toDate - End date
-     * @param {string} branch - Branch name
+     * @param {string} branch - Branch name (defaults to the URL's ref, then the default branch)
      * @param {string} format - Output format
      * @param {boolean} useAI - Whether to use AI analysis
      * @returns {Promise<Array>} Array of reports
      */
-    async generateMultipleReports(repoUrl, fromDate, toDate, branch = 'main', format = 'text', useAI = false) {
+    async generateMultipleReports(repoUrl, fromDate, toDate, branch = null, format = 'text', useAI = false) {
         try {
             const reports = [];
             const currentDate = moment(fromDate);
@@ -302,6 +824,9 @@ class ReportController {
 
             return reports;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to generate multiple reports: ${error.message}`);
         }
     }
@@ -419,4 +944,6 @@ class ReportController {
     }
 }
 
+ReportController.GROUP_BY_MODES = GROUP_BY_MODES;
+
 module.exports = ReportController;
@@ -3,65 +3,99 @@
  * Handles repository-related operations
  */
 
-const GitHubService = require('../services/GitHubService');
+const ProviderRegistry = require('../services/ProviderRegistry');
 const Repository = require('../models/Repository');
+const RateLimitError = require('../errors/RateLimitError');
 
 class RepositoryController {
     constructor() {
-        this.githubService = new GitHubService();
+        this.providers = new ProviderRegistry();
+        this.githubService = this.providers.github;
+    }
+
+    /**
+     * Pick the provider that reads a repository (GitHub, GitLab, Gitea, Bitbucket or a local path)
+     * @param {string} repoUrl - Repository URL or local path
+     * @returns {RepositoryProvider} Provider
+     */
+    getService(repoUrl) {
+        return this.providers.getProvider(repoUrl);
     }
 
     /**
      * Get user repositories
      * @param {Object} options - Options for fetching repositories
+     * @param {string} options.provider - 'github' (default), 'gitlab', 'gitea' or 'bitbucket'
      * @returns {Promise<Array>} Array of repositories
      */
     async getUserRepositories(options = {}) {
         try {
-            const repositories = await this.githubService.getUserRepositories(options);
+            const { provider, ...query } = options;
+            const repositories = await this.providers.getProviderByName(provider).getUserRepositories(query);
             return repositories.map(repoData => new Repository(repoData));
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get user repositories: ${error.message}`);
         }
     }
 
     /**
      * Get repository by URL
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<Repository>} Repository object
      */
     async getRepositoryByUrl(repoUrl) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            const repoData = await this.githubService.getRepository(owner, repo);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            const repoData = await service.getRepository(owner, repo);
             return new Repository(repoData);
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository: ${error.message}`);
         }
     }
 
     /**
      * Get repository branches
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<Array>} Array of branches
      */
     async getRepositoryBranches(repoUrl) {
         try {
-            const { owner, repo } = this.githubService.extractRepoInfo(repoUrl);
-            return await this.githubService.getRepositoryBranches(owner, repo);
+            const service = this.getService(repoUrl);
+            const { owner, repo } = service.extractRepoInfo(repoUrl);
+            return await service.getRepositoryBranches(owner, repo);
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository branches: ${error.message}`);
         }
     }
 
+    /**
+     * Build a repository URL on the configured GitHub host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {string} Repository URL
+     */
+    buildRepositoryUrl(owner, repo) {
+        return this.githubService.buildRepositoryUrl(owner, repo);
+    }
+
     /**
      * Validate repository URL
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {boolean} True if valid
      */
     validateRepositoryUrl(repoUrl) {
         try {
-            this.githubService.extractRepoInfo(repoUrl);
+            this.getService(repoUrl).extractRepoInfo(repoUrl);
             return true;
         } catch (error) {
             return false;
@@ -70,7 +104,7 @@ class RepositoryController {
 
     /**
      * Get repository information
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<Object>} Repository information
      */
     async getRepositoryInfo(repoUrl) {
@@ -87,13 +121,16 @@ class RepositoryController {
                 urls: repository.getUrls()
             };
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository information: ${error.message}`);
         }
     }
 
     /**
      * Check if repository is accessible
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<boolean>} True if accessible
      */
     async isRepositoryAccessible(repoUrl) {
@@ -107,7 +144,7 @@ class RepositoryController {
 
     /**
      * Get repository statistics
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<Object>} Repository statistics
      */
     async getRepositoryStatistics(repoUrl) {
@@ -131,6 +168,9 @@ class RepositoryController {
                 urls: repository.getUrls()
             };
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository statistics: ${error.message}`);
         }
     }
@@ -149,6 +189,9 @@ class RepositoryController {
                 repo.description.toLowerCase().includes(query.toLowerCase())
             );
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to search repositories: ${error.message}`);
         }
     }
@@ -212,7 +255,7 @@ class RepositoryController {
 
     /**
      * Get repository summary
-     * @param {string} repoUrl - Repository URL
+     * @param {string} repoUrl - Repository URL or local path
      * @returns {Promise<Object>} Repository summary
      */
     async getRepositorySummary(repoUrl) {
@@ -230,6 +273,9 @@ class RepositoryController {
                 urls: repository.getUrls()
             };
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to get repository summary: ${error.message}`);
         }
     }
@@ -13,6 +13,7 @@ const path = require('path');
 const moment = require('moment');
 const chalk = require('chalk');
 const OpenAI = require('openai');
+const { parseRepoReference } = require('../utils/repoReference');
 const { GITHUB_TOKEN, OPENAI_API_KEY } = require('../config/config');
 
 class EnhancedGitHubCommitReporter {
@@ -29,28 +30,17 @@ class EnhancedGitHubCommitReporter {
 
     /**
      * Extract owner and repository name from GitHub URL
-     * @param {string} repoUrl - GitHub repository URL
-     * @returns {Object} - {owner, repo}
+     * @param {string} repoUrl - GitHub repository URL or owner/repo
+     * @returns {Object} - {owner, repo, ref}
      */
     extractRepoInfo(repoUrl) {
-        let parts;
+        const { host, owner, repo, ref } = parseRepoReference(repoUrl);
 
-        if (repoUrl.startsWith('https://github.com/')) {
-            parts = repoUrl.replace('https://github.com/', '').trim('/').split('/');
-        } else if (repoUrl.startsWith('git@github.com:')) {
-            parts = repoUrl.replace('git@github.com:', '').replace('.git', '').split('/');
-        } else {
+        if (host && host !== 'github.com') {
             throw new Error('Invalid GitHub repository URL format');
         }
 
-        if (parts.length !== 2) {
-            throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
-        }
-
-        const owner = parts[0];
-        const repo = parts[1].replace('.git', '');
-
-        return { owner, repo };
+        return { owner, repo, ref };
     }
 
     /**
@@ -59,10 +49,10 @@ class EnhancedGitHubCommitReporter {
      * @param {string} repo - Repository name
      * @param {string} sinceDate - Start date in ISO format (optional)
      * @param {string} untilDate - End date in ISO format (optional)
-     * @param {string} branch - Branch name (optional, defaults to main)
+     * @param {string} branch - Branch name (optional, defaults to the repository's default branch)
      * @returns {Array} - List of commit data
      */
-    async getCommits(owner, repo, sinceDate = null, untilDate = null, branch = 'main') {
+    async getCommits(owner, repo, sinceDate = null, untilDate = null, branch = null) {
         const commits = [];
         let page = 1;
         const perPage = 100; // Maximum allowed by GitHub API
@@ -166,10 +156,10 @@ class EnhancedGitHubCommitReporter {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} targetDate - Target date in YYYY-MM-DD format
-     * @param {string} branch - Branch name (optional, defaults to main)
+     * @param {string} branch - Branch name (optional, defaults to the repository's default branch)
      * @returns {Array} - List of commit data
      */
-    async getCommitsForDate(owner, repo, targetDate, branch = 'main') {
+    async getCommitsForDate(owner, repo, targetDate, branch = null) {
         const commits = [];
         let page = 1;
         const perPage = 100;
@@ -544,7 +534,8 @@ async function main() {
 
     try {
         // Extract repository information
-        const { owner, repo } = reporter.extractRepoInfo(repoUrl);
+        const { owner, repo, ref } = reporter.extractRepoInfo(repoUrl);
+        const branch = ref || null;
         console.log(chalk.blue(`Repository: ${owner}/${repo}`));
         console.log(chalk.blue(`Target date: ${moment(date).format('Do MMMM YYYY')}`));
         console.log(chalk.yellow('Fetching commits...'));
@@ -554,11 +545,11 @@ async function main() {
         const untilDate = moment(date).add(1, 'day').format('YYYY-MM-DD');
 
         console.log(chalk.yellow(`Fetching commits from ${sinceDate} to ${untilDate}`));
-        let allCommits = await reporter.getCommits(owner, repo, sinceDate, untilDate);
+        let allCommits = await reporter.getCommits(owner, repo, sinceDate, untilDate, branch);
 
         // Always fetch all commits to ensure we don't miss any due to timezone issues
         console.log(chalk.yellow('Fetching all commits to ensure accurate date filtering...'));
-        allCommits = await reporter.getCommits(owner, repo);
+        allCommits = await reporter.getCommits(owner, repo, null, null, branch);
         const targetCommits = reporter.filterCommitsByDate(allCommits, date);
 
         console.log(chalk.green(`Found ${targetCommits.length} commits for ${moment(date).format('Do MMMM YYYY')}`));
@@ -8,6 +8,7 @@ const { program } = require('commander');
 const fs = require('fs-extra');
 const moment = require('moment');
 const chalk = require('chalk');
+const { parseRepoReference } = require('../utils/repoReference');
 const { GITHUB_TOKEN } = require('../config/config');
 
 class QuickGitHubCommitReporter {
@@ -23,27 +24,17 @@ class QuickGitHubCommitReporter {
 
     /**
      * Extract owner and repository name from GitHub URL
-     * @param {string} repoUrl - GitHub repository URL
-     * @returns {Object} - {owner, repo}
+     * @param {string} repoUrl - GitHub repository URL or owner/repo
+     * @returns {Object} - {owner, repo, ref}
      */
     extractRepoInfo(repoUrl) {
-        let parts;
+        const { host, owner, repo, ref } = parseRepoReference(repoUrl);
 
-        if (repoUrl.startsWith('https://github.com/')) {
-            parts = repoUrl.replace('https://github.com/', '').trim('/').split('/');
-        } else if (repoUrl.startsWith('git@github.com:')) {
-            parts = repoUrl.replace('git@github.com:', '').replace('.git', '').split('/');
-        } else {
+        if (host && host !== 'github.com') {
             throw new Error('Invalid GitHub repository URL format');
         }
 
-        if (parts.length !== 2) {
-            throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
-        }
-
-        const owner = parts[0];
-        const repo = parts[1].replace('.git', '');
-        return { owner, repo };
+        return { owner, repo, ref };
     }
 
     /**
@@ -51,10 +42,10 @@ class QuickGitHubCommitReporter {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} targetDate - Target date in YYYY-MM-DD format
-     * @param {string} branch - Branch name (optional, defaults to main)
+     * @param {string} branch - Branch name (optional, defaults to the repository's default branch)
      * @returns {Array} - List of commit data
      */
-    async getCommitsForDate(owner, repo, targetDate, branch = 'main') {
+    async getCommitsForDate(owner, repo, targetDate, branch = null) {
         const commits = [];
         let page = 1;
         const perPage = 100;
@@ -311,13 +302,14 @@ async function main() {
 
     try {
         // Extract repository information
-        const { owner, repo } = reporter.extractRepoInfo(repoUrl);
+        const { owner, repo, ref } = reporter.extractRepoInfo(repoUrl);
+        const branch = ref || null;
         console.log(chalk.blue(`Repository: ${owner}/${repo}`));
         console.log(chalk.blue(`Target date: ${moment(date).format('Do MMMM YYYY')}`));
         console.log(chalk.yellow('Fetching commits...'));
 
         // Get commits for the target date
-        const commits = await reporter.getCommitsForDate(owner, repo, date);
+        const commits = await reporter.getCommitsForDate(owner, repo, date, branch);
 
         console.log(chalk.green(`Found ${commits.length} commits for ${moment(date).format('Do MMMM YYYY')}`));
 
@@ -0,0 +1,58 @@
+/**
+ * Rate Limit Error
+ * Raised when the GitHub API request budget is exhausted
+ */
+
+const moment = require('moment');
+
+class RateLimitError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Rate limit details
+     * @param {Date} details.resetAt - When requests may resume
+     * @param {number} details.limit - Request budget for the window (optional)
+     * @param {number} details.remaining - Requests left in the window (optional)
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.resetAt = details.resetAt || null;
+        this.limit = details.limit !== undefined ? details.limit : null;
+        this.remaining = details.remaining !== undefined ? details.remaining : null;
+    }
+
+    /**
+     * Get the local time at which requests may resume
+     * @returns {string} Time in HH:mm format, or empty string if unknown
+     */
+    getResumeTime() {
+        return this.resetAt ? moment(this.resetAt).format('HH:mm') : '';
+    }
+
+    /**
+     * Get seconds until requests may resume
+     * @returns {number} Seconds to wait (0 if unknown or already passed)
+     */
+    getRetryAfterSeconds() {
+        if (!this.resetAt) {
+            return 0;
+        }
+        return Math.max(0, Math.ceil((this.resetAt.getTime() - Date.now()) / 1000));
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            error: this.message,
+            resetAt: this.resetAt ? this.resetAt.toISOString() : null,
+            resumesAt: this.getResumeTime(),
+            limit: this.limit,
+            remaining: this.remaining
+        };
+    }
+}
+
+module.exports = RateLimitError;
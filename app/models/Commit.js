@@ -3,6 +3,11 @@
  * Represents a Git commit with all its properties and methods
  */
 
+const { parseTrailers, getTrailerValues, parsePerson } = require('../utils/trailers');
+
+// How contributor statistics credit a commit with co-authors: everyone in full, or an equal share each
+const CREDIT_MODES = ['full', 'split'];
+
 class Commit {
     constructor(data = {}) {
         this.sha = data.sha || '';
@@ -10,7 +15,9 @@ class Commit {
         this.author = {
             name: data.author?.name || '',
             email: data.author?.email || '',
-            date: data.author?.date || ''
+            date: data.author?.date || '',
+            // GitHub account the author email belongs to, when the provider knows it
+            login: data.author?.login || null
         };
         this.committer = {
             name: data.committer?.name || '',
@@ -18,11 +25,86 @@ class Commit {
             date: data.committer?.date || ''
         };
         this.files = data.files || [];
+        // Number of changed files, known even when per-file details were not loaded
+        this.changedFiles = data.changedFiles !== undefined ? data.changedFiles : this.files.length;
         this.stats = {
             total: data.stats?.total || 0,
             additions: data.stats?.additions || 0,
             deletions: data.stats?.deletions || 0
         };
+        // Branches the commit was found on, when several branches were read
+        this.branches = data.branches || [];
+        // Parent SHAs; null when the provider did not report them
+        this.parents = data.parents || null;
+
+        // Trailers at the end of the message, and the well-known ones as structured fields
+        this.trailers = parseTrailers(this.message);
+        // Co-authors may be given already resolved to canonical identities
+        this.coAuthors = data.coAuthors || getTrailerValues(this.trailers, 'Co-authored-by').map(parsePerson);
+        this.signedOffBy = getTrailerValues(this.trailers, 'Signed-off-by').map(parsePerson);
+        this.reviewedBy = getTrailerValues(this.trailers, 'Reviewed-by').map(parsePerson);
+        this.fixes = getTrailerValues(this.trailers, 'Fixes');
+        this.refs = getTrailerValues(this.trailers, 'Refs');
+    }
+
+    /**
+     * Get everyone credited with the commit: the author, then co-authors
+     * @returns {Array} People ({ name, email }), without repeats
+     */
+    getContributors() {
+        const contributors = [{ name: this.author.name, email: this.author.email }];
+        this.coAuthors.forEach(coAuthor => {
+            const known = contributors.some(person =>
+                (coAuthor.email && person.email.toLowerCase() === coAuthor.email.toLowerCase()) || person.name === coAuthor.name
+            );
+            if (!known) {
+                contributors.push(coAuthor);
+            }
+        });
+        return contributors;
+    }
+
+    /**
+     * Total commits and changed lines per contributor, crediting co-authors
+     * @param {Array} commits - Commits (models or plain commit data)
+     * @param {string} credit - 'full' gives every contributor the whole commit; 'split' shares it equally
+     * @returns {Array} Contributors ({ name, email, commits, additions, deletions }), unsorted
+     */
+    static getContributorStatistics(commits, credit = 'full') {
+        if (!CREDIT_MODES.includes(credit)) {
+            throw new Error(`Unknown credit mode "${credit}". Use ${CREDIT_MODES.map(mode => `"${mode}"`).join(' or ')}`);
+        }
+
+        const contributors = {};
+        commits.forEach(commitData => {
+            const commit = commitData instanceof Commit ? commitData : new Commit(commitData);
+            const people = commit.getContributors();
+            const share = credit === 'split' ? 1 / people.length : 1;
+
+            people.forEach(person => {
+                if (!contributors[person.name]) {
+                    contributors[person.name] = {
+                        name: person.name,
+                        email: person.email,
+                        commits: 0,
+                        additions: 0,
+                        deletions: 0
+                    };
+                }
+
+                contributors[person.name].commits += share;
+                contributors[person.name].additions += commit.stats.additions * share;
+                contributors[person.name].deletions += commit.stats.deletions * share;
+            });
+        });
+
+        // Split credit leaves fractions: keep two decimals of commits and whole lines
+        return Object.values(contributors).map(contributor => ({
+            ...contributor,
+            commits: Math.round(contributor.commits * 100) / 100,
+            additions: Math.round(contributor.additions),
+            deletions: Math.round(contributor.deletions)
+        }));
     }
 
     /**
@@ -77,7 +159,9 @@ class Commit {
             sha: this.sha,
             message: this.message,
             author: this.author.name,
+            coAuthors: this.coAuthors.map(coAuthor => coAuthor.name),
             date: this.getFormattedDate(),
+            branches: this.branches,
             changes: {
                 additions: this.stats.additions,
                 deletions: this.stats.deletions,
@@ -85,7 +169,7 @@ class Commit {
                 total: this.stats.total
             },
             files: {
-                total: this.files.length,
+                total: this.changedFiles,
                 added: this.getFilesByStatus('added').length,
                 modified: this.getFilesByStatus('modified').length,
                 removed: this.getFilesByStatus('removed').length,
@@ -113,9 +197,19 @@ class Commit {
             author: this.author,
             committer: this.committer,
             files: this.files,
-            stats: this.stats
+            changedFiles: this.changedFiles,
+            stats: this.stats,
+            branches: this.branches,
+            parents: this.parents,
+            coAuthors: this.coAuthors,
+            signedOffBy: this.signedOffBy,
+            reviewedBy: this.reviewedBy,
+            fixes: this.fixes,
+            refs: this.refs
         };
     }
 }
 
+Commit.CREDIT_MODES = CREDIT_MODES;
+
 module.exports = Commit;
@@ -3,6 +3,8 @@
  * Represents a commit report with its properties and methods
  */
 
+const Commit = require('./Commit');
+
 class Report {
     constructor(data = {}) {
         this.id = data.id || this.generateId();
@@ -95,31 +97,13 @@ class Report {
     }
 
     /**
-     * Get top contributors
+     * Get top contributors, co-authors included
      * @param {number} limit - Number of top contributors
+     * @param {string} credit - How contributors share a co-authored commit ('full' or 'split')
      * @returns {Array} Top contributors
      */
-    getTopContributors(limit = 5) {
-        const contributors = {};
-
-        this.commits.forEach(commit => {
-            const author = commit.author.name;
-            if (!contributors[author]) {
-                contributors[author] = {
-                    name: author,
-                    email: commit.author.email,
-                    commits: 0,
-                    additions: 0,
-                    deletions: 0
-                };
-            }
-
-            contributors[author].commits++;
-            contributors[author].additions += commit.stats.additions;
-            contributors[author].deletions += commit.stats.deletions;
-        });
-
-        return Object.values(contributors)
+    getTopContributors(limit = 5, credit = 'full') {
+        return Commit.getContributorStatistics(this.commits, credit)
             .sort((a, b) => b.commits - a.commits)
             .slice(0, limit);
     }
@@ -16,6 +16,7 @@ class Repository {
         this.updatedAt = data.updated_at || data.updatedAt || '';
         this.cloneUrl = data.clone_url || data.cloneUrl || '';
         this.sshUrl = data.ssh_url || data.sshUrl || '';
+        this.apiUrl = data.url || data.apiUrl || '';
     }
 
     /**
@@ -31,15 +32,21 @@ class Repository {
     }
 
     /**
-     * Get repository URL in different formats
+     * Get repository URL in different formats.
+     * Uses the links returned by the API so GitHub Enterprise Server hosts are kept.
      * @returns {Object} URLs in different formats
      */
     getUrls() {
         const { owner, repo } = this.getOwnerAndRepo();
+        const webUrl = this.htmlUrl ? new URL(this.htmlUrl) : null;
+        const host = webUrl ? webUrl.host : 'github.com';
+        const protocol = webUrl ? webUrl.protocol : 'https:';
+        const apiBase = host === 'github.com' ? 'https://api.github.com' : `${protocol}//${host}/api/v3`;
+
         return {
-            https: `https://github.com/${owner}/${repo}`,
-            ssh: `git@github.com:${owner}/${repo}.git`,
-            api: `https://api.github.com/repos/${owner}/${repo}`
+            https: this.htmlUrl || `https://${host}/${owner}/${repo}`,
+            ssh: this.sshUrl || `git@${host}:${owner}/${repo}.git`,
+            api: this.apiUrl || `${apiBase}/repos/${owner}/${repo}`
         };
     }
 
@@ -100,7 +107,8 @@ class Repository {
             default_branch: this.defaultBranch,
             updated_at: this.updatedAt,
             clone_url: this.cloneUrl,
-            ssh_url: this.sshUrl
+            ssh_url: this.sshUrl,
+            url: this.apiUrl
         };
     }
 }
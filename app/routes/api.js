@@ -8,20 +8,94 @@ const router = express.Router();
 const CommitController = require('../controllers/CommitController');
 const RepositoryController = require('../controllers/RepositoryController');
 const ReportController = require('../controllers/ReportController');
+const RateLimitError = require('../errors/RateLimitError');
+const LocalGitService = require('../services/LocalGitService');
+const ProviderRegistry = require('../services/ProviderRegistry');
+const Commit = require('../models/Commit');
 
 // Initialize controllers
 const commitController = new CommitController();
 const repositoryController = new RepositoryController();
 const reportController = new ReportController();
 
+// Team filters name a GitHub team as org/team-slug
+const TEAM_PATTERN = /^[^/\s]+\/[^/\s]+$/;
+
+/**
+ * Check an author filter from a request body: one non-empty string or a non-empty array of them
+ * @param {*} author - Author filter
+ * @returns {boolean} True if valid
+ */
+function isAuthorFilter(author) {
+    const authors = [].concat(author);
+    return authors.length > 0 && authors.every(value => typeof value === 'string' && value.trim());
+}
+
+/**
+ * Validate the commit filters of a request body
+ * @param {Object} body - Request body (excludeBots, excludeMerges, paths, includePaths, excludePaths)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCommitFilters(body) {
+    for (const key of ['excludeBots', 'excludeMerges']) {
+        if (body[key] !== undefined && typeof body[key] !== 'boolean') {
+            return `${key} must be a boolean`;
+        }
+    }
+    for (const key of ['paths', 'includePaths', 'excludePaths']) {
+        if (body[key] !== undefined && !(Array.isArray(body[key]) && body[key].every(pattern => typeof pattern === 'string' && pattern))) {
+            return `${key} must be an array of paths or globs`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read commit filters from query parameters: excludeBots=true, excludeMerges=true,
+ * paths=packages/web/**, includePaths=src/**,lib/** and excludePaths=package-lock.json,dist/
+ * @param {Object} query - Request query
+ * @returns {Object} Commit filters; unset ones fall back to the configuration
+ */
+function getQueryCommitFilters(query) {
+    const toBoolean = value => (value === undefined ? undefined : value === 'true');
+    const toPatterns = value => (value === undefined ? undefined : [].concat(value).join(',').split(',').map(pattern => pattern.trim()).filter(Boolean));
+    return {
+        excludeBots: toBoolean(query.excludeBots),
+        excludeMerges: toBoolean(query.excludeMerges),
+        paths: toPatterns(query.paths),
+        includePaths: toPatterns(query.includePaths),
+        excludePaths: toPatterns(query.excludePaths)
+    };
+}
+
+/**
+ * Respond with 429 and the reset time when GitHub's rate limit is exhausted
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @returns {boolean} True if the error was handled
+ */
+function handleRateLimitError(res, error) {
+    if (!(error instanceof RateLimitError)) {
+        return false;
+    }
+
+    const retryAfter = error.getRetryAfterSeconds();
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+    res.status(429).json(error.toJSON());
+    return true;
+}
+
 /**
  * @route POST /api/generate-report
- * @desc Generate a commit report
+ * @desc Generate a commit report for a date range; like the CLI's range command it lists
+ *   issue activity unless includeIssues is false
  * @access Public
  */
 router.post('/generate-report', async (req, res) => {
     try {
-        const { repoUrl, branch, fromDate, toDate, reportType, outputFormat, openaiKey, author } = req.body;
+        const { repoUrl, branch, fromDate, toDate, reportType, outputFormat, openaiKey, author, team, concurrency, backend, includeFiles, branches, allBranches, groupBy, includeIssues = true } = req.body;
 
         // Validate inputs
         if (!repoUrl || !fromDate || !toDate) {
@@ -30,26 +104,111 @@ router.post('/generate-report', async (req, res) => {
             });
         }
 
+        // Local paths would let API callers read any git repository on the server
+        if (LocalGitService.isLocalPath(repoUrl)) {
+            return res.status(400).json({
+                error: 'Local repository paths are only supported from the CLI'
+            });
+        }
+
+        if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+            return res.status(400).json({
+                error: 'Concurrency must be a positive integer'
+            });
+        }
+
+        if (backend !== undefined && !['rest', 'graphql'].includes(backend)) {
+            return res.status(400).json({
+                error: 'Backend must be "rest" or "graphql"'
+            });
+        }
+
+        if (branches !== undefined && !(Array.isArray(branches) && branches.length > 0 && branches.every(pattern => typeof pattern === 'string' && pattern))) {
+            return res.status(400).json({
+                error: 'Branches must be a non-empty array of branch names or globs'
+            });
+        }
+
+        if (branch && (branches || allBranches)) {
+            return res.status(400).json({
+                error: 'Use either branch or branches/allBranches, not both'
+            });
+        }
+
+        if (groupBy !== undefined && !ReportController.GROUP_BY_MODES.includes(groupBy)) {
+            return res.status(400).json({
+                error: `Group by must be one of: ${ReportController.GROUP_BY_MODES.join(', ')}`
+            });
+        }
+
+        if (groupBy === 'pr' && reportType === 'enhanced') {
+            return res.status(400).json({
+                error: 'Grouping by pull request is only available for quick reports'
+            });
+        }
+
+        if (includeIssues !== undefined && typeof includeIssues !== 'boolean') {
+            return res.status(400).json({
+                error: 'includeIssues must be a boolean'
+            });
+        }
+
+        const filterError = validateCommitFilters(req.body);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        if (author !== undefined && author !== null && !isAuthorFilter(author)) {
+            return res.status(400).json({
+                error: 'Author must be an email, login or name, or an array of them'
+            });
+        }
+
+        if (team !== undefined && team !== null && !(typeof team === 'string' && TEAM_PATTERN.test(team))) {
+            return res.status(400).json({
+                error: 'Team must be given as org/team-slug'
+            });
+        }
+
+        const fetchOptions = { concurrency, backend, includeFiles, branches: branches || (allBranches ? ['**'] : undefined) };
+        const filters = {
+            excludeBots: req.body.excludeBots,
+            excludeMerges: req.body.excludeMerges,
+            paths: req.body.paths,
+            includePaths: req.body.includePaths,
+            excludePaths: req.body.excludePaths
+        };
+
         let reportData;
 
-        if (reportType === 'enhanced') {
+        if (reportType === 'reviews') {
+            reportData = await reportController.generateReviewReport(
+                repoUrl,
+                fromDate,
+                toDate,
+                outputFormat || 'text',
+                { concurrency }
+            );
+        } else if (reportType === 'enhanced') {
             reportData = await reportController.generateEnhancedReport(
                 repoUrl,
                 fromDate,
                 toDate,
-                branch || 'main',
+                branch,
                 outputFormat || 'text',
                 openaiKey,
-                author
+                author,
+                { ...fetchOptions, team, filters, includeIssues }
             );
         } else {
             reportData = await reportController.generateQuickReport(
                 repoUrl,
                 fromDate,
                 toDate,
-                branch || 'main',
+                branch,
                 outputFormat || 'text',
-                author
+                author,
+                { ...fetchOptions, team, filters, groupBy, includeIssues }
             );
         }
 
@@ -57,6 +216,61 @@ router.post('/generate-report', async (req, res) => {
 
     } catch (error) {
         console.error('Error generating report:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route GET /api/compare/:owner/:repo
+ * @desc Generate a report for the commits between two tags, branches or SHAs
+ * @access Public
+ */
+router.get('/compare/:owner/:repo', async (req, res) => {
+    try {
+        const { owner, repo } = req.params;
+        const { base, head, reportType = 'quick', outputFormat, concurrency } = req.query;
+
+        if (!base || !head) {
+            return res.status(400).json({
+                error: 'Base and head refs are required'
+            });
+        }
+
+        if (!['quick', 'enhanced'].includes(reportType)) {
+            return res.status(400).json({
+                error: 'Report type must be "quick" or "enhanced"'
+            });
+        }
+
+        const concurrencyValue = concurrency === undefined ? undefined : Number(concurrency);
+        if (concurrencyValue !== undefined && !(Number.isInteger(concurrencyValue) && concurrencyValue > 0)) {
+            return res.status(400).json({
+                error: 'Concurrency must be a positive integer'
+            });
+        }
+
+        const { OPENAI_API_KEY } = require('../config/config');
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
+
+        const reportData = await reportController.generateCompareReport(
+            repoUrl,
+            base,
+            head,
+            reportType,
+            outputFormat || 'text',
+            OPENAI_API_KEY,
+            { concurrency: concurrencyValue }
+        );
+        res.json(reportData);
+
+    } catch (error) {
+        console.error('Error generating compare report:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: error.message });
     }
 });
@@ -68,8 +282,15 @@ router.post('/generate-report', async (req, res) => {
  */
 router.get('/repositories', async (req, res) => {
     try {
-        const { sort, per_page, type } = req.query;
-        const options = { sort, per_page, type, visibility: 'all' };
+        const { sort, per_page, type, provider } = req.query;
+
+        if (provider !== undefined && !ProviderRegistry.PROVIDERS.includes(provider)) {
+            return res.status(400).json({
+                error: `Provider must be one of: ${ProviderRegistry.PROVIDERS.join(', ')}`
+            });
+        }
+
+        const options = { sort, per_page, type, visibility: 'all', provider };
 
         const repositories = await repositoryController.getUserRepositories(options);
         // console.log(repositories);
@@ -77,7 +298,10 @@ router.get('/repositories', async (req, res) => {
 
     } catch (error) {
         console.error('Error fetching repositories:', error);
-        res.status(500).json({ error: 'Failed to fetch repositories. Please check your GitHub token.' });
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: `Failed to fetch repositories. Please check your ${ProviderRegistry.PROVIDER_LABELS[req.query.provider] || 'GitHub'} token.` });
     }
 });
 
@@ -89,13 +313,16 @@ router.get('/repositories', async (req, res) => {
 router.get('/branches/:owner/:repo', async (req, res) => {
     try {
         const { owner, repo } = req.params;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         const branches = await repositoryController.getRepositoryBranches(repoUrl);
         res.json(branches);
 
     } catch (error) {
         console.error('Error fetching branches:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch branches' });
     }
 });
@@ -108,13 +335,16 @@ router.get('/branches/:owner/:repo', async (req, res) => {
 router.get('/repository/:owner/:repo', async (req, res) => {
     try {
         const { owner, repo } = req.params;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         const repository = await repositoryController.getRepositoryByUrl(repoUrl);
         res.json(repository);
 
     } catch (error) {
         console.error('Error fetching repository:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch repository' });
     }
 });
@@ -128,19 +358,22 @@ router.get('/commits/:owner/:repo', async (req, res) => {
     try {
         const { owner, repo } = req.params;
         const { branch, fromDate, toDate, author } = req.query;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         let commits;
         if (fromDate && toDate) {
-            commits = await commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch, author);
+            commits = await commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch, author, { includeFiles: true });
         } else {
-            commits = await commitController.getAllCommits(repoUrl, branch);
+            commits = await commitController.getAllCommits(repoUrl, branch, { includeFiles: true });
         }
 
         res.json(commits);
 
     } catch (error) {
         console.error('Error fetching commits:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch commits' });
     }
 });
@@ -153,13 +386,16 @@ router.get('/commits/:owner/:repo', async (req, res) => {
 router.get('/commits/:owner/:repo/:sha', async (req, res) => {
     try {
         const { owner, repo, sha } = req.params;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         const commit = await commitController.getCommitDetails(repoUrl, sha);
         res.json(commit);
 
     } catch (error) {
         console.error('Error fetching commit details:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch commit details' });
     }
 });
@@ -172,13 +408,16 @@ router.get('/commits/:owner/:repo/:sha', async (req, res) => {
 router.get('/commits/:owner/:repo/:sha/diff', async (req, res) => {
     try {
         const { owner, repo, sha } = req.params;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         const diff = await commitController.getCommitDiff(repoUrl, sha);
         res.json(diff);
 
     } catch (error) {
         console.error('Error fetching commit diff:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch commit diff' });
     }
 });
@@ -191,21 +430,43 @@ router.get('/commits/:owner/:repo/:sha/diff', async (req, res) => {
 router.get('/statistics/:owner/:repo', async (req, res) => {
     try {
         const { owner, repo } = req.params;
-        const { fromDate, toDate, branch } = req.query;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const { fromDate, toDate, branch, credit = 'full', author, team } = req.query;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
+
+        if (!Commit.CREDIT_MODES.includes(credit)) {
+            return res.status(400).json({
+                error: `Credit must be one of: ${Commit.CREDIT_MODES.join(', ')}`
+            });
+        }
+
+        if (team !== undefined && !TEAM_PATTERN.test(team)) {
+            return res.status(400).json({
+                error: 'Team must be given as org/team-slug'
+            });
+        }
+
+        const filters = getQueryCommitFilters(req.query);
+        // fileStatistics lists the most changed files
+        const fetchOptions = { includeFiles: true, paths: filters.paths };
 
         let commits;
         if (fromDate && toDate) {
-            commits = await commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch);
+            commits = await commitController.getCommitsForDateRange(repoUrl, fromDate, toDate, branch, null, fetchOptions);
         } else {
-            commits = await commitController.getAllCommits(repoUrl, branch);
+            commits = await commitController.getAllCommits(repoUrl, branch, fetchOptions);
         }
 
-        const statistics = commitController.getCommitStatistics(commits);
+        // Count each person once, however many addresses they commit with
+        const identities = await reportController.loadIdentities(repoUrl, branch);
+        const authored = await reportController.filterByAuthors(repoUrl, identities.resolveCommits(commits), identities, [].concat(author || []), team);
+        const statistics = commitController.getCommitStatistics(authored, { credit, filters });
         res.json(statistics);
 
     } catch (error) {
         console.error('Error fetching statistics:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch statistics' });
     }
 });
@@ -219,13 +480,16 @@ router.get('/contributors/:owner/:repo', async (req, res) => {
     try {
         const { owner, repo } = req.params;
         const { branch } = req.query;
-        const repoUrl = `https://github.com/${owner}/${repo}`;
+        const repoUrl = repositoryController.buildRepositoryUrl(owner, repo);
 
         const contributors = await commitController.getRepositoryContributors(repoUrl, branch);
         res.json(contributors);
 
     } catch (error) {
         console.error('Error fetching contributors:', error);
+        if (handleRateLimitError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Failed to fetch contributors' });
     }
 });
@@ -258,12 +522,22 @@ router.post('/analyze-commits', async (req, res) => {
  * @access Public
  */
 router.get('/health', (req, res) => {
-    const { GITHUB_TOKEN } = require('../config/config');
+    const { GITHUB_TOKEN, GITLAB_TOKEN, GITLAB_URL, GITEA_TOKEN, GITEA_URL, BITBUCKET_TOKEN, BITBUCKET_APP_PASSWORD } = require('../config/config');
+    const GitHubService = require('../services/GitHubService');
+    const GitHubAppAuth = require('../services/GitHubAppAuth');
 
     res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
         githubToken: GITHUB_TOKEN ? 'Configured' : 'Not configured',
+        githubApp: GitHubAppAuth.isConfigured() ? 'Configured' : 'Not configured',
+        gitlabToken: GITLAB_TOKEN ? 'Configured' : 'Not configured',
+        gitlabUrl: GITLAB_URL,
+        giteaToken: GITEA_TOKEN ? 'Configured' : 'Not configured',
+        giteaUrl: GITEA_URL || 'Not configured',
+        bitbucketCredentials: BITBUCKET_TOKEN || BITBUCKET_APP_PASSWORD ? 'Configured' : 'Not configured',
+        githubApiUrl: new GitHubService().baseUrl,
+        conditionalRequests: GitHubService.getConditionalRequestStats(),
         version: '1.0.0'
     });
 });
@@ -281,7 +555,7 @@ router.get('/validate-repository', (req, res) => {
             return res.status(400).json({ error: 'Repository URL is required' });
         }
 
-        const isValid = repositoryController.validateRepositoryUrl(repoUrl);
+        const isValid = !LocalGitService.isLocalPath(repoUrl) && repositoryController.validateRepositoryUrl(repoUrl);
         res.json({ valid: isValid });
 
     } catch (error) {
@@ -336,7 +610,15 @@ router.post('/generate-selected-commits-report', async (req, res) => {
 
         let reportData;
 
-        if (reportType === 'enhanced') {
+        if (reportType === 'reviews') {
+            reportData = await reportController.generateReviewReport(
+                repoUrl,
+                fromDate,
+                toDate,
+                outputFormat || 'text',
+                { concurrency }
+            );
+        } else if (reportType === 'enhanced') {
             if (!openaiKey) {
                 return res.status(400).json({
                     error: 'OpenAI API key is required for enhanced reports'
@@ -258,6 +258,41 @@ class AIAnalysisService {
             `- Average changes per commit: ${Math.round((totalAdditions + totalDeletions) / totalCommits)} lines`;
     }
 
+    /**
+     * Classify a commit into one of the given change types using AI
+     * @param {Object} commit - Commit data
+     * @param {Array} types - Allowed change type keys, e.g. ['features', 'fixes']
+     * @returns {Promise<string|null>} One of the types, or null without AI or on an unusable answer
+     */
+    async classifyCommit(commit, types) {
+        if (!this.openai) {
+            return null;
+        }
+
+        try {
+            const files = commit.files.map(f => f.filename).join(', ');
+            const response = await this.openai.chat.completions.create({
+                model: "gpt-3.5-turbo",
+                messages: [
+                    {
+                        role: "system",
+                        content: `You classify commits for release notes. Answer with exactly one of: ${types.join(', ')}.`
+                    },
+                    { role: "user", content: `Commit Message: ${commit.message}\n\nFiles Changed: ${files}` }
+                ],
+                max_tokens: 5,
+                temperature: 0
+            });
+
+            const answer = response.choices[0].message.content.trim().toLowerCase().replace(/[^a-z]/g, '');
+            return types.includes(answer) ? answer : null;
+
+        } catch (error) {
+            console.error(`AI classification failed: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Check if AI analysis is available
      * @returns {boolean} True if AI is available
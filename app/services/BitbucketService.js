@@ -0,0 +1,440 @@
+/**
+ * Bitbucket Service
+ * Reads commit data from Bitbucket Cloud through the RepositoryProvider interface
+ */
+
+const moment = require('moment');
+const { BITBUCKET_TOKEN, BITBUCKET_USERNAME, BITBUCKET_APP_PASSWORD } = require('../config/config');
+const RestProvider = require('./RestProvider');
+const RateLimitError = require('../errors/RateLimitError');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { splitRepoReference } = require('../utils/repoReference');
+const { parseDiffFiles } = require('../utils/diff');
+
+// Bitbucket Cloud web host; its REST API lives on a separate host
+const BITBUCKET_HOST = 'bitbucket.org';
+const BITBUCKET_API_URL = 'https://api.bitbucket.org/2.0';
+
+// Bitbucket diffstat statuses mapped to the GitHub API's file statuses
+const FILE_STATUSES = {
+    added: 'added',
+    removed: 'removed',
+    modified: 'modified',
+    renamed: 'renamed'
+};
+
+class BitbucketService extends RestProvider {
+    /**
+     * @param {string} token - Bitbucket access token (sent as a Bearer token)
+     * @param {Object} options - Service options (see RestProvider)
+     * @param {string} options.username - Username for app password authentication (when no token is given)
+     * @param {string} options.appPassword - App password for app password authentication
+     */
+    constructor(token = BITBUCKET_TOKEN, options = {}) {
+        const username = options.username || BITBUCKET_USERNAME;
+        const appPassword = options.appPassword || BITBUCKET_APP_PASSWORD;
+        let headers = {};
+        if (token) {
+            headers = { Authorization: `Bearer ${token}` };
+        } else if (username && appPassword) {
+            headers = { Authorization: `Basic ${Buffer.from(`${username}:${appPassword}`).toString('base64')}` };
+        }
+
+        super({ ...options, providerName: 'Bitbucket', headers });
+        this.token = token;
+        this.baseUrl = BITBUCKET_API_URL;
+    }
+
+    /**
+     * Check whether a host is Bitbucket Cloud
+     * @param {string} host - Lower-cased host
+     * @returns {boolean} True for bitbucket.org
+     */
+    static isBitbucketHost(host) {
+        return host === BITBUCKET_HOST || host === `www.${BITBUCKET_HOST}`;
+    }
+
+    /**
+     * Fetch every page of a list endpoint, following the `next` link in each page
+     * @param {Object} config - Axios request config for the first page
+     * @param {Function} shouldStop - Called with each page's values; return true to stop early (optional)
+     * @returns {Promise<Array>} All values
+     */
+    async paginate(config, shouldStop = null) {
+        const values = [];
+        let requestConfig = config;
+
+        while (requestConfig) {
+            const response = await this.request(requestConfig);
+            const page = response.data || {};
+            const pageValues = page.values || [];
+            values.push(...pageValues);
+
+            if (!page.next || (shouldStop && shouldStop(pageValues))) {
+                break;
+            }
+            // `next` already carries the query string of the first request
+            requestConfig = { url: page.next };
+        }
+
+        return values;
+    }
+
+    /**
+     * Extract workspace and repository slug from a Bitbucket URL
+     * @param {string} repoUrl - Bitbucket repository URL
+     * @returns {Object} - {owner, repo, ref} (owner is the workspace; ref from /src/<ref>, /branch/<ref> or /commits/<sha>)
+     */
+    extractRepoInfo(repoUrl) {
+        const { host, segments, isWebUrl } = splitRepoReference(repoUrl);
+
+        if (host && !BitbucketService.isBitbucketHost(host)) {
+            throw new Error(`Repository host "${host}" is not Bitbucket Cloud (${BITBUCKET_HOST})`);
+        }
+        if (segments.length < 2 || (segments.length > 2 && !isWebUrl)) {
+            throw new Error('Invalid Bitbucket repository URL. Expected format: workspace/repo');
+        }
+
+        const [owner, name, ...rest] = segments;
+        let ref = null;
+        if (rest[0] === 'src' && rest.length > 1) {
+            ref = rest[1];
+        } else if (rest[0] === 'branch' && rest.length > 1) {
+            ref = rest.slice(1).join('/');
+        } else if (rest[0] === 'commits' && rest[1] === 'branch' && rest.length > 2) {
+            ref = rest.slice(2).join('/');
+        } else if ((rest[0] === 'commits' || rest[0] === 'commit') && rest.length > 1) {
+            ref = rest[1];
+        }
+
+        return { owner, repo: name.replace(/\.git$/, ''), ref };
+    }
+
+    /**
+     * Build the API URL of a repository
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @returns {string} URL of the repository resource
+     */
+    repoUrl(owner, repo) {
+        return `${this.baseUrl}/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    }
+
+    /**
+     * Get repositories the authenticated user is a member of
+     * @param {Object} options - Options for fetching repositories (per_page)
+     * @returns {Promise<Array>} List of repositories in the GitHub API shape
+     */
+    async getUserRepositories(options = {}) {
+        try {
+            const response = await this.request({
+                url: `${this.baseUrl}/repositories`,
+                params: {
+                    role: 'member',
+                    sort: '-updated_on',
+                    pagelen: Math.min(options.per_page || 100, 100)
+                }
+            });
+
+            return (response.data.values || []).map(repository => this.toRepository(repository));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch repositories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository information
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @returns {Promise<Object>} Repository information in the GitHub API shape
+     */
+    async getRepository(owner, repo) {
+        try {
+            const response = await this.request({ url: this.repoUrl(owner, repo) });
+            return this.toRepository(response.data);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository branches
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @returns {Promise<Array>} List of branches ({ name, protected })
+     */
+    async getRepositoryBranches(owner, repo) {
+        try {
+            const branches = await this.paginate({
+                url: `${this.repoUrl(owner, repo)}/refs/branches`,
+                params: { pagelen: 100 }
+            });
+            return branches.map(branch => ({ name: branch.name, protected: false }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch branches: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get commits for a repository. Bitbucket's commit list has no date or author
+     * filters, so both are applied here; paging stops once a page is entirely
+     * older than options.since. Stats come from each commit's diffstat; files are
+     * left empty when options.includeFiles is false.
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @param {Object} options - Options (branch, sha, since, until, author, concurrency, includeFiles)
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async getCommits(owner, repo, options = {}) {
+        const since = options.since ? moment.utc(options.since) : null;
+        const until = options.until ? moment.utc(options.until) : null;
+        let listed;
+
+        try {
+            // Without a revision Bitbucket lists every branch, so fall back to the main branch
+            const revision = options.sha || options.branch || await this.getDefaultBranch(owner, repo);
+            listed = await this.paginate({
+                url: `${this.repoUrl(owner, repo)}/commits/${encodeURIComponent(revision)}`,
+                params: { pagelen: 100 }
+            }, since ? page => page.every(commit => moment.utc(commit.date).isBefore(since)) : null);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commits: ${error.message}`);
+        }
+
+        const commits = listed
+            .filter(commit => {
+                const date = moment.utc(commit.date);
+                return (!since || !date.isBefore(since)) && (!until || !date.isAfter(until));
+            })
+            .filter(commit => !options.author || this.matchesAuthor(commit, options.author));
+
+        return await mapWithConcurrency(
+            commits,
+            options.concurrency || this.concurrency,
+            async commit => {
+                const files = await this.getCommitFiles(owner, repo, commit.hash);
+                return this.toCommit(commit, files, options.includeFiles !== false);
+            }
+        );
+    }
+
+    /**
+     * Check whether a listed commit was authored by a user (nickname or display name), name or email (case-insensitive)
+     * @param {Object} commit - Bitbucket commit
+     * @param {string} author - Nickname, display name, name or email
+     * @returns {boolean} True when the commit matches
+     */
+    matchesAuthor(commit, author) {
+        const wanted = author.toLowerCase();
+        const user = commit.author.user || {};
+        const { name, email } = this.parseRawAuthor(commit.author.raw);
+        return [user.nickname, user.display_name, name, email]
+            .some(value => value && value.toLowerCase() === wanted);
+    }
+
+    /**
+     * Split a raw git author ("Name <email>") into its parts
+     * @param {string} raw - Raw author string
+     * @returns {Object} - {name, email}
+     */
+    parseRawAuthor(raw = '') {
+        const match = raw.match(/^(.*?)\s*<([^>]*)>\s*$/);
+        return match ? { name: match[1], email: match[2] } : { name: raw.trim(), email: '' };
+    }
+
+    /**
+     * Get detailed information about a specific commit
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Detailed commit information
+     */
+    async getCommitDetails(owner, repo, sha) {
+        try {
+            const [response, files] = await Promise.all([
+                this.request({ url: `${this.repoUrl(owner, repo)}/commit/${encodeURIComponent(sha)}` }),
+                this.getCommitFiles(owner, repo, sha)
+            ]);
+            return this.toCommit(response.data, files);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit details for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the changed files of a commit from its diffstat
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Array>} File changes
+     */
+    async getCommitFiles(owner, repo, sha) {
+        const entries = await this.paginate({
+            url: `${this.repoUrl(owner, repo)}/diffstat/${encodeURIComponent(sha)}`,
+            params: { pagelen: 500 }
+        });
+        return entries.map(entry => this.toFile(entry));
+    }
+
+    /**
+     * Get commit diff/patch
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Commit diff data
+     */
+    async getCommitDiff(owner, repo, sha) {
+        try {
+            const response = await this.request({
+                url: `${this.repoUrl(owner, repo)}/diff/${encodeURIComponent(sha)}`,
+                responseType: 'text'
+            });
+            return {
+                sha: sha,
+                diff: response.data,
+                files: parseDiffFiles(response.data)
+            };
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit diff for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository contributors. Bitbucket has no contributors endpoint, so they
+     * are counted from the main branch history.
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @returns {Promise<Array>} List of contributors, most commits first
+     */
+    async getRepositoryContributors(owner, repo) {
+        try {
+            const repository = await this.getRepository(owner, repo);
+            const commits = await this.paginate({
+                url: `${this.repoUrl(owner, repo)}/commits/${encodeURIComponent(repository.default_branch)}`,
+                params: { pagelen: 100 }
+            });
+
+            const contributors = new Map();
+            commits.forEach(commit => {
+                const user = commit.author.user;
+                const { name, email } = this.parseRawAuthor(commit.author.raw);
+                const login = user ? user.nickname || user.display_name : name;
+                if (!contributors.has(login)) {
+                    contributors.set(login, {
+                        login,
+                        name: user ? user.display_name : name,
+                        email,
+                        avatar_url: user && user.links && user.links.avatar ? user.links.avatar.href : null,
+                        contributions: 0
+                    });
+                }
+                contributors.get(login).contributions++;
+            });
+
+            return [...contributors.values()].sort((a, b) => b.contributions - a.contributions);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository contributors: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a Bitbucket commit to the provider commit shape.
+     * Bitbucket records a single date per commit; it is used for author and committer.
+     * @param {Object} data - Bitbucket commit
+     * @param {Array} files - File changes from the diffstat
+     * @param {boolean} includeFiles - Keep the per-file list (stats are always totalled)
+     * @returns {Object} Commit
+     */
+    toCommit(data, files = [], includeFiles = true) {
+        const { name, email } = this.parseRawAuthor(data.author.raw);
+        const additions = files.reduce((sum, file) => sum + file.additions, 0);
+        const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+        const person = {
+            name: data.author.user ? data.author.user.display_name : name,
+            email,
+            date: data.date
+        };
+
+        return {
+            sha: data.hash,
+            message: (data.message || '').trim(),
+            author: person,
+            committer: { ...person },
+            parents: data.parents ? data.parents.map(parent => parent.hash) : null,
+            files: includeFiles ? files : [],
+            stats: {
+                total: additions + deletions,
+                additions,
+                deletions
+            }
+        };
+    }
+
+    /**
+     * Convert a diffstat entry to a file change
+     * @param {Object} entry - Bitbucket diffstat entry
+     * @returns {Object} File change
+     */
+    toFile(entry) {
+        const additions = entry.lines_added || 0;
+        const deletions = entry.lines_removed || 0;
+
+        return {
+            filename: (entry.new || entry.old).path,
+            status: FILE_STATUSES[entry.status] || 'modified',
+            additions,
+            deletions,
+            changes: additions + deletions
+        };
+    }
+
+    /**
+     * Convert a Bitbucket repository to the GitHub repository shape used by the Repository model
+     * @param {Object} repository - Bitbucket repository
+     * @returns {Object} Repository data
+     */
+    toRepository(repository) {
+        const links = repository.links || {};
+        const clone = links.clone || [];
+        const cloneUrl = name => (clone.find(link => link.name === name) || {}).href;
+        const [workspace] = repository.full_name.split('/');
+
+        return {
+            id: repository.uuid,
+            name: repository.slug || repository.name,
+            full_name: repository.full_name,
+            owner: workspace,
+            description: repository.description,
+            private: repository.is_private,
+            html_url: links.html ? links.html.href : `https://${BITBUCKET_HOST}/${repository.full_name}`,
+            default_branch: repository.mainbranch ? repository.mainbranch.name : 'main',
+            updated_at: repository.updated_on,
+            clone_url: cloneUrl('https'),
+            ssh_url: cloneUrl('ssh'),
+            url: `${this.baseUrl}/repositories/${repository.full_name}`
+        };
+    }
+}
+
+module.exports = BitbucketService;
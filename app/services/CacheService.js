@@ -0,0 +1,223 @@
+/**
+ * Cache Service
+ * Persistent key/value store on disk with LRU eviction
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { CACHE_DIR, CACHE_MAX_ENTRIES } = require('../config/config');
+
+const CACHE_FILE_VERSION = 1;
+
+// Cache files used by the services
+const FILES = {
+    COMMIT_DETAILS: 'commit-details.json',
+    ETAGS: 'etags.json'
+};
+
+class CacheService {
+    /**
+     * @param {Object} options - Cache options
+     * @param {string} options.cacheDir - Directory holding the cache file
+     * @param {string} options.filename - Cache file name
+     * @param {number} options.maxEntries - Entries kept before least recently used ones are evicted
+     */
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || CACHE_DIR || path.join(__dirname, '../../.cache');
+        this.filename = options.filename || FILES.COMMIT_DETAILS;
+        this.filePath = path.join(this.cacheDir, this.filename);
+        this.maxEntries = options.maxEntries || CACHE_MAX_ENTRIES;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 200;
+
+        this.entries = null;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.loading = null;
+        // Set when entries change; lookups alone never rewrite the file
+        this.dirty = false;
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Load the cache file into memory (once)
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (this.entries) {
+            return;
+        }
+
+        if (!this.loading) {
+            this.loading = (async () => {
+                const entries = new Map();
+                try {
+                    if (await fs.pathExists(this.filePath)) {
+                        const data = await fs.readJson(this.filePath);
+                        if (data.version === CACHE_FILE_VERSION) {
+                            (data.entries || []).forEach(([key, value]) => entries.set(key, value));
+                            this.stats = { ...this.stats, ...data.stats };
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Ignoring unreadable cache file ${this.filePath}: ${error.message}`);
+                }
+                this.entries = entries;
+            })();
+        }
+
+        await this.loading;
+    }
+
+    /**
+     * Get a cached value and mark it as recently used. Hit and miss counts are kept
+     * in memory and written with the next change to the entries.
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Cached value or undefined
+     */
+    async get(key) {
+        await this.load();
+
+        if (!this.entries.has(key)) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        const value = this.entries.get(key);
+        // Re-insert so Map order tracks recency
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.stats.hits++;
+
+        return value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries over the cap
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serialisable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        await this.load();
+
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Check whether a key is cached without touching recency or stats
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if cached
+     */
+    async has(key) {
+        await this.load();
+        return this.entries.has(key);
+    }
+
+    /**
+     * Remove every entry and reset statistics
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async clear() {
+        await this.load();
+
+        const removed = this.entries.size;
+        this.entries.clear();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.dirty = true;
+        await this.flush();
+
+        return removed;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} Statistics
+     */
+    async getStats() {
+        await this.load();
+
+        const lookups = this.stats.hits + this.stats.misses;
+        let sizeBytes = 0;
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                sizeBytes = (await fs.stat(this.filePath)).size;
+            }
+        } catch (error) {
+            sizeBytes = 0;
+        }
+
+        return {
+            path: this.filePath,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            evictions: this.stats.evictions,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0,
+            sizeBytes
+        };
+    }
+
+    /**
+     * Write the cache to disk shortly, batching bursts of updates
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Write the cache to disk now, if its entries changed since the last write
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        if (!this.entries || !this.dirty) {
+            await this.saving;
+            return;
+        }
+        this.dirty = false;
+
+        // Serialise writes so concurrent flushes never interleave
+        this.saving = this.saving.then(async () => {
+            try {
+                await fs.ensureDir(this.cacheDir);
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.writeJson(tempPath, {
+                    version: CACHE_FILE_VERSION,
+                    stats: this.stats,
+                    entries: Array.from(this.entries.entries())
+                });
+                await fs.move(tempPath, this.filePath, { overwrite: true });
+            } catch (error) {
+                console.error(`Error writing cache file ${this.filePath}: ${error.message}`);
+            }
+        });
+
+        await this.saving;
+    }
+}
+
+CacheService.FILES = FILES;
+
+module.exports = CacheService;
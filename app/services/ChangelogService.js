@@ -0,0 +1,190 @@
+/**
+ * Changelog Service
+ * Reads a Keep a Changelog style CHANGELOG.md and adds release sections to it
+ */
+
+const fs = require('fs-extra');
+
+// Written at the top of a changelog that does not exist yet
+const CHANGELOG_HEADER = '# Changelog\n\n'
+    + 'All notable changes to this project will be documented in this file.\n\n'
+    + 'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).\n\n';
+
+// "## [1.4.0] - 2025-01-15", "## [Unreleased]"
+const RELEASE_HEADING = /^## \[([^\]]+)\](?:\s+-\s+(\d{4}-\d{2}-\d{2}))?/;
+
+// "[1.4.0]: https://..."
+const LINK_REFERENCE = /^\[[^\]]+\]:\s/;
+
+class ChangelogService {
+    /**
+     * Read a changelog file
+     * @param {string} filePath - Changelog path
+     * @returns {Promise<string>} File content, or '' when the file does not exist
+     */
+    async readChangelog(filePath) {
+        try {
+            if (!(await fs.pathExists(filePath))) {
+                return '';
+            }
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Error reading changelog: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a changelog file
+     * @param {string} filePath - Changelog path
+     * @param {string} content - New content
+     * @returns {Promise<string>} File path
+     */
+    async writeChangelog(filePath, content) {
+        try {
+            await fs.writeFile(filePath, content, 'utf8');
+            return filePath;
+        } catch (error) {
+            throw new Error(`Error writing changelog: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the version headings of a changelog, newest first
+     * @param {string} content - Changelog content
+     * @returns {Array} Releases ({ version, date }); date is null for undated sections such as [Unreleased]
+     */
+    getReleases(content) {
+        return content.split('\n')
+            .map(line => line.match(RELEASE_HEADING))
+            .filter(Boolean)
+            .map(match => ({ version: match[1], date: match[2] || null }));
+    }
+
+    /**
+     * Find the newest dated release, where the next section starts from
+     * @param {string} content - Changelog content
+     * @returns {Object|null} { version, date }, or null when no release is recorded
+     */
+    findLatestRelease(content) {
+        return this.getReleases(content).find(release => release.date) || null;
+    }
+
+    /**
+     * Get the short SHAs listed in dated release sections, i.e. the commits already released
+     * @param {string} content - Changelog content
+     * @returns {Set} Short SHAs, e.g. "1a2b3c4"
+     */
+    getReleasedShas(content) {
+        const shas = new Set();
+        let released = false;
+        content.split('\n').forEach(line => {
+            const heading = line.match(RELEASE_HEADING);
+            if (heading) {
+                released = !!heading[2];
+            } else if (released) {
+                [...line.matchAll(/\(([0-9a-f]{7,40})\)/g)].forEach(match => shas.add(match[1].substring(0, 7)));
+            }
+        });
+        return shas;
+    }
+
+    /**
+     * Find the lines of a version's section: its heading up to the next heading or link reference
+     * @param {Array} lines - Changelog lines
+     * @param {string} version - Version label
+     * @returns {Object|null} { start, end } (end exclusive), or null when the changelog has no such section
+     */
+    findSection(lines, version) {
+        const start = lines.findIndex(line => {
+            const match = line.match(RELEASE_HEADING);
+            return match && match[1] === version;
+        });
+        if (start === -1) {
+            return null;
+        }
+        const next = lines.findIndex((line, index) => index > start && (RELEASE_HEADING.test(line) || LINK_REFERENCE.test(line)));
+        return { start, end: next === -1 ? lines.length : next };
+    }
+
+    /**
+     * Set a link reference: replace the one with the same label, else add it below
+     * [Unreleased]'s, else above the existing ones, else at the end after a blank line
+     * @param {Array} lines - Changelog lines, updated in place
+     * @param {string} linkReference - Link reference line
+     * @param {boolean} replaceOnly - Only replace an existing reference
+     */
+    setLinkReference(lines, linkReference, replaceOnly = false) {
+        const referenceLine = linkReference.replace(/\n$/, '');
+        const label = referenceLine.substring(0, referenceLine.indexOf(']:') + 2);
+        const existing = lines.findIndex(line => line.startsWith(label));
+        if (existing !== -1) {
+            lines[existing] = referenceLine;
+            return;
+        }
+        if (replaceOnly) {
+            return;
+        }
+
+        const unreleasedIndex = lines.findIndex(line => line.startsWith('[Unreleased]:'));
+        const referenceIndex = unreleasedIndex !== -1 ? unreleasedIndex + 1 : lines.findIndex(line => LINK_REFERENCE.test(line));
+        if (referenceIndex !== -1) {
+            lines.splice(referenceIndex, 0, referenceLine);
+        } else {
+            // First link reference: add it at the end, after a blank line
+            const end = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+            lines.splice(end, 0, ...(lines[end - 1] === '' ? [referenceLine] : ['', referenceLine]));
+        }
+    }
+
+    /**
+     * Add a release section to a changelog. A new [Unreleased] section replaces the existing one.
+     * Any other release goes below [Unreleased], taking over its changes: the [Unreleased] heading
+     * stays, emptied, and its link reference is moved on to compare from the new release.
+     * Other existing lines are kept as they are.
+     * @param {string} content - Changelog content ('' for a new changelog)
+     * @param {string} section - Release section, ending with a blank line
+     * @param {string} linkReference - Link reference line (optional)
+     * @param {string} unreleasedLinkReference - New [Unreleased] link reference, used when one exists (optional)
+     * @returns {string} Updated changelog content
+     */
+    insertRelease(content, section, linkReference = null, unreleasedLinkReference = null) {
+        if (!content) {
+            return CHANGELOG_HEADER + (linkReference ? section + linkReference : section.replace(/\n+$/, '\n'));
+        }
+
+        const lines = content.split('\n');
+        const sectionLines = section.replace(/\n$/, '').split('\n');
+        const version = sectionLines[0].match(RELEASE_HEADING)[1];
+        const unreleased = this.findSection(lines, 'Unreleased');
+
+        if (unreleased && version === 'Unreleased') {
+            lines.splice(unreleased.start, unreleased.end - unreleased.start, ...sectionLines);
+        } else if (unreleased) {
+            lines.splice(unreleased.start, unreleased.end - unreleased.start, lines[unreleased.start], '', ...sectionLines);
+            if (unreleasedLinkReference) {
+                this.setLinkReference(lines, unreleasedLinkReference, true);
+            }
+        } else {
+            let sectionIndex = lines.findIndex(line => RELEASE_HEADING.test(line));
+            if (sectionIndex === -1) {
+                // No releases yet: add the section after the header, keeping a blank line before it
+                sectionIndex = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+                if (lines[sectionIndex - 1] !== '') {
+                    sectionLines.unshift('');
+                }
+                if (sectionIndex < lines.length) {
+                    sectionLines.pop();
+                }
+            }
+            lines.splice(sectionIndex, 0, ...sectionLines);
+        }
+
+        if (linkReference) {
+            this.setLinkReference(lines, linkReference);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = ChangelogService;
@@ -0,0 +1,249 @@
+/**
+ * GitHub App Authentication
+ * Signs app JWTs and exchanges them for installation access tokens
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const {
+    GITHUB_APP_ID,
+    GITHUB_APP_PRIVATE_KEY,
+    GITHUB_APP_PRIVATE_KEY_PATH,
+    GITHUB_APP_INSTALLATION_ID
+} = require('../config/config');
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string
+ */
+function base64url(value) {
+    return Buffer.from(value)
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+class GitHubAppAuth {
+    /**
+     * @param {Object} options - App credentials
+     * @param {string} options.appId - GitHub App ID
+     * @param {string} options.privateKey - PEM private key contents
+     * @param {string} options.privateKeyPath - Path to the PEM private key file
+     * @param {string} options.installationId - Installation to use for every owner (optional)
+     * @param {Function} options.request - Sends an unauthenticated API request (axios config => response)
+     */
+    constructor(options = {}) {
+        this.appId = options.appId;
+        this.privateKey = options.privateKey ? options.privateKey.replace(/\\n/g, '\n') : null;
+        this.privateKeyPath = options.privateKeyPath || null;
+        this.installationId = options.installationId || null;
+        this.request = options.request;
+
+        // Cache keys are "<apiUrl> <owner or installation>"
+        this.installationIds = new Map();
+        this.tokens = new Map();
+    }
+
+    /**
+     * Build app auth from the environment, if configured
+     * @param {Function} request - Sends an unauthenticated API request
+     * @returns {GitHubAppAuth|null} App auth or null when no app is configured
+     */
+    static fromConfig(request) {
+        if (!GitHubAppAuth.isConfigured()) {
+            return null;
+        }
+
+        return new GitHubAppAuth({
+            appId: GITHUB_APP_ID,
+            privateKey: GITHUB_APP_PRIVATE_KEY,
+            privateKeyPath: GITHUB_APP_PRIVATE_KEY_PATH,
+            installationId: GITHUB_APP_INSTALLATION_ID,
+            request
+        });
+    }
+
+    /**
+     * Check whether app credentials are configured in the environment
+     * @returns {boolean} True if configured
+     */
+    static isConfigured() {
+        return !!(GITHUB_APP_ID && (GITHUB_APP_PRIVATE_KEY || GITHUB_APP_PRIVATE_KEY_PATH));
+    }
+
+    /**
+     * Read the private key (once)
+     * @returns {string} PEM private key
+     */
+    getPrivateKey() {
+        if (!this.privateKey) {
+            try {
+                this.privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
+            } catch (error) {
+                throw new Error(`Failed to read GitHub App private key from ${this.privateKeyPath}: ${error.message}`);
+            }
+        }
+        return this.privateKey;
+    }
+
+    /**
+     * Create a short-lived JWT identifying the app
+     * @returns {string} Signed JWT
+     */
+    createJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+        // Backdate iat to allow for clock drift; GitHub caps exp at 10 minutes
+        const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 540, iss: String(this.appId) }));
+        const signature = crypto
+            .createSign('RSA-SHA256')
+            .update(`${header}.${payload}`)
+            .sign(this.getPrivateKey());
+
+        return `${header}.${payload}.${base64url(signature)}`;
+    }
+
+    /**
+     * Send a request authenticated as the app itself
+     * @param {string} apiUrl - REST API base URL
+     * @param {Object} config - Axios request config (path instead of url)
+     * @returns {Promise<Object>} Axios response
+     */
+    async appRequest(apiUrl, config) {
+        const { path, ...rest } = config;
+        return await this.request({
+            ...rest,
+            url: `${apiUrl}${path}`,
+            headers: {
+                ...rest.headers,
+                'Authorization': `Bearer ${this.createJwt()}`
+            }
+        });
+    }
+
+    /**
+     * List the app's installations
+     * @param {string} apiUrl - REST API base URL
+     * @returns {Promise<Array>} Installations
+     */
+    async listInstallations(apiUrl) {
+        const response = await this.appRequest(apiUrl, {
+            path: '/app/installations',
+            params: { per_page: 100 }
+        });
+        return response.data;
+    }
+
+    /**
+     * Find the installation covering an owner
+     * @param {string} apiUrl - REST API base URL
+     * @param {string} owner - Organization or user login (optional)
+     * @returns {Promise<string>} Installation ID
+     */
+    async getInstallationId(apiUrl, owner) {
+        if (this.installationId) {
+            return String(this.installationId);
+        }
+
+        const cacheKey = `${apiUrl} ${owner || ''}`.toLowerCase();
+        if (this.installationIds.has(cacheKey)) {
+            return this.installationIds.get(cacheKey);
+        }
+
+        let installationId;
+        if (!owner) {
+            const installations = await this.listInstallations(apiUrl);
+            if (installations.length === 0) {
+                throw new Error('The GitHub App is not installed on any account');
+            }
+            installationId = String(installations[0].id);
+        } else {
+            try {
+                const response = await this.appRequest(apiUrl, { path: `/orgs/${owner}/installation` });
+                installationId = String(response.data.id);
+            } catch (error) {
+                if (!error.response || error.response.status !== 404) {
+                    throw error;
+                }
+                try {
+                    const response = await this.appRequest(apiUrl, { path: `/users/${owner}/installation` });
+                    installationId = String(response.data.id);
+                } catch (userError) {
+                    if (userError.response && userError.response.status === 404) {
+                        throw new Error(`The GitHub App is not installed for "${owner}"`);
+                    }
+                    throw userError;
+                }
+            }
+        }
+
+        this.installationIds.set(cacheKey, installationId);
+        return installationId;
+    }
+
+    /**
+     * Get an installation access token, reusing cached tokens until shortly before expiry
+     * @param {string} apiUrl - REST API base URL
+     * @param {Object} target - { owner, installationId } (both optional)
+     * @returns {Promise<string>} Installation access token
+     */
+    async getInstallationToken(apiUrl, target = {}) {
+        const installationId = target.installationId
+            ? String(target.installationId)
+            : await this.getInstallationId(apiUrl, target.owner);
+        const cacheKey = `${apiUrl} ${installationId}`;
+
+        const cached = this.tokens.get(cacheKey);
+        if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+            return cached.token;
+        }
+
+        const response = await this.appRequest(apiUrl, {
+            method: 'post',
+            path: `/app/installations/${installationId}/access_tokens`
+        });
+
+        this.tokens.set(cacheKey, {
+            token: response.data.token,
+            expiresAt: new Date(response.data.expires_at).getTime()
+        });
+
+        return response.data.token;
+    }
+
+    /**
+     * Drop cached tokens for an owner or installation so the next call refreshes them
+     * @param {string} apiUrl - REST API base URL
+     * @param {Object} target - { owner, installationId } (both optional)
+     */
+    invalidate(apiUrl, target = {}) {
+        const installationId = target.installationId
+            || this.installationId
+            || this.installationIds.get(`${apiUrl} ${target.owner || ''}`.toLowerCase());
+
+        if (installationId) {
+            this.tokens.delete(`${apiUrl} ${installationId}`);
+        }
+    }
+
+    /**
+     * Check that the app credentials are accepted by GitHub
+     * @param {string} apiUrl - REST API base URL
+     * @returns {Promise<boolean>} True if valid
+     */
+    async validate(apiUrl) {
+        try {
+            const response = await this.appRequest(apiUrl, { path: '/app' });
+            return response.status === 200;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = GitHubAppAuth;
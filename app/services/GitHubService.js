@@ -4,43 +4,426 @@
  */
 
 const axios = require('axios');
-const { GITHUB_TOKEN } = require('../config/config');
+const { GITHUB_TOKEN, GITHUB_API_URL, GITHUB_CONCURRENCY, GITHUB_MAX_RETRIES, GITHUB_MAX_RETRY_WAIT, GITHUB_BACKEND } = require('../config/config');
+const RateLimitError = require('../errors/RateLimitError');
+const RepositoryProvider = require('./RepositoryProvider');
+const CacheService = require('./CacheService');
+const GitHubAppAuth = require('./GitHubAppAuth');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { TRANSIENT_ERROR_CODES, sleep, backoffDelay } = require('../utils/retry');
+const { normalizeApiUrl, getWebUrl, getWebHost, getGraphqlUrl } = require('../utils/githubHost');
+const { parseRepoReference } = require('../utils/repoReference');
+const { parseDiffFiles } = require('../utils/diff');
+const { getCommonPathPrefix } = require('../utils/commitFilters');
 
-class GitHubService {
-    constructor(token = GITHUB_TOKEN) {
+// Full commit SHAs are immutable and safe to cache; branch names and short SHAs are not
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+// Supported commit history backends
+const BACKENDS = ['rest', 'graphql'];
+
+// Commit history with per-commit totals, one page of up to 100 commits per query
+const COMMIT_HISTORY_QUERY = `
+query CommitHistory($owner: String!, $name: String!, $ref: String!, $since: GitTimestamp, $until: GitTimestamp, $author: CommitAuthor, $path: String, $cursor: String, $pageSize: Int!) {
+  repository(owner: $owner, name: $name) {
+    object(expression: $ref) {
+      ... on Commit {
+        history(first: $pageSize, after: $cursor, since: $since, until: $until, author: $author, path: $path) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            oid
+            message
+            additions
+            deletions
+            changedFilesIfAvailable
+            author {
+              name
+              email
+              date
+              user {
+                login
+              }
+            }
+            committer {
+              name
+              email
+              date
+            }
+            parents(first: 2) {
+              nodes {
+                oid
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// API base URL for services created without an explicit apiUrl option
+let defaultApiUrl = normalizeApiUrl(GITHUB_API_URL);
+
+// Caches shared by every service instance in this process, keyed by file name
+const sharedCaches = new Map();
+
+// GitHub App credentials from the environment, shared so installation tokens are reused
+let sharedAppAuth;
+
+// 304 (served from the ETag store) vs full responses for conditional requests
+const conditionalRequestStats = { hits: 0, misses: 0 };
+
+/**
+ * Get a process-wide cache backed by the given file
+ * @param {string} filename - Cache file name
+ * @returns {CacheService} Cache instance
+ */
+function getSharedCache(filename) {
+    if (!sharedCaches.has(filename)) {
+        sharedCaches.set(filename, new CacheService({ filename }));
+    }
+    return sharedCaches.get(filename);
+}
+
+/**
+ * Get the process-wide GitHub App auth configured from the environment
+ * @returns {GitHubAppAuth|null} App auth, or null when no app is configured
+ */
+function getSharedAppAuth() {
+    if (sharedAppAuth === undefined) {
+        // Token exchanges go through a plain service so they get the same retry handling
+        const transport = new GitHubService(null, { appAuth: null, cache: null, etagCache: null });
+        sharedAppAuth = GitHubAppAuth.fromConfig(config => transport.request({ ...config, auth: false }));
+    }
+    return sharedAppAuth;
+}
+
+class GitHubService extends RepositoryProvider {
+    constructor(token = GITHUB_TOKEN, options = {}) {
+        super();
         this.token = token;
-        this.baseUrl = 'https://api.github.com';
+        this.apiUrl = options.apiUrl ? normalizeApiUrl(options.apiUrl) : null;
+        this.concurrency = options.concurrency || GITHUB_CONCURRENCY;
+        this.backend = this.validateBackend(options.backend || GITHUB_BACKEND);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : GITHUB_MAX_RETRIES;
+        this.maxRetryWait = options.maxRetryWait !== undefined ? options.maxRetryWait : GITHUB_MAX_RETRY_WAIT;
+        this.rateLimit = null;
+        // Pass cache: null to always fetch commit details from the API
+        this.cache = options.cache !== undefined ? options.cache : getSharedCache(CacheService.FILES.COMMIT_DETAILS);
+        // Pass etagCache: null to disable conditional requests for list endpoints
+        this.etagCache = options.etagCache !== undefined ? options.etagCache : getSharedCache(CacheService.FILES.ETAGS);
+        // GitHub App installation auth takes precedence over the token; pass appAuth: null to disable
+        this.appAuth = options.appAuth !== undefined ? options.appAuth : getSharedAppAuth();
         this.headers = {
-            'Authorization': `token ${token}`,
             'Accept': 'application/vnd.github.v3+json',
             'X-GitHub-Api-Version': '2022-11-28'
         };
+        if (!this.appAuth) {
+            this.headers['Authorization'] = `token ${token}`;
+        }
     }
 
     /**
-     * Extract owner and repository name from GitHub URL
-     * @param {string} repoUrl - GitHub repository URL
-     * @returns {Object} - {owner, repo}
+     * Override the API base URL used by services without an explicit apiUrl
+     * (e.g. from a --api-url CLI flag)
+     * @param {string} apiUrl - REST API base URL or GHES web root
      */
-    extractRepoInfo(repoUrl) {
-        let parts;
+    static setDefaultApiUrl(apiUrl) {
+        defaultApiUrl = normalizeApiUrl(apiUrl);
+    }
+
+    /**
+     * REST API base URL
+     * @returns {string} Base URL, e.g. https://api.github.com
+     */
+    get baseUrl() {
+        return this.apiUrl || defaultApiUrl;
+    }
+
+    /**
+     * Web root where repositories are browsed
+     * @returns {string} Web URL, e.g. https://github.com
+     */
+    get webUrl() {
+        return getWebUrl(this.baseUrl);
+    }
+
+    /**
+     * Build the web URL of a repository on the configured host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {string} Repository URL
+     */
+    buildRepositoryUrl(owner, repo) {
+        return `${this.webUrl}/${owner}/${repo}`;
+    }
+
+    /**
+     * Send a request to the GitHub API, retrying transient failures and
+     * secondary rate limits with jittered backoff.
+     * With GitHub App auth, the installation token for the repository owner is
+     * attached and refreshed once if GitHub rejects it.
+     * @param {Object} config - Axios request config (url, params, headers, ...)
+     * @param {string} config.owner - Owner whose installation token to use (defaults to the /repos/:owner in the URL)
+     * @param {string} config.installationId - Installation whose token to use
+     * @param {boolean} config.auth - Pass false to send only the given headers
+     * @returns {Promise<Object>} Axios response
+     * @throws {RateLimitError} When the rate limit budget is exhausted
+     */
+    async request(config) {
+        const { owner, installationId, auth, ...axiosConfig } = config;
+        const useAppAuth = this.appAuth && auth !== false;
+        const target = { owner: owner || this.getRequestOwner(axiosConfig.url), installationId };
+
+        const requestConfig = {
+            method: 'get',
+            ...axiosConfig,
+            headers: {
+                ...this.headers,
+                ...(useAppAuth ? await this.getAppAuthHeader(target) : {}),
+                ...axiosConfig.headers
+            }
+        };
+        let refreshedToken = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.request(requestConfig);
+                this.updateRateLimit(response.headers);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    this.updateRateLimit(error.response.headers);
+                }
+
+                // Installation tokens can be revoked or expire early; fetch a fresh one once
+                if (useAppAuth && !refreshedToken && error.response && error.response.status === 401) {
+                    refreshedToken = true;
+                    this.appAuth.invalidate(this.baseUrl, target);
+                    requestConfig.headers = {
+                        ...requestConfig.headers,
+                        ...await this.getAppAuthHeader(target)
+                    };
+                    attempt--;
+                    continue;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    throw error;
+                }
+
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Build the Authorization header for an installation
+     * @param {Object} target - { owner, installationId }
+     * @returns {Promise<Object>} Header object
+     */
+    async getAppAuthHeader(target) {
+        const token = await this.appAuth.getInstallationToken(this.baseUrl, target);
+        return { 'Authorization': `token ${token}` };
+    }
+
+    /**
+     * Get the repository owner a REST URL refers to
+     * @param {string} url - Request URL
+     * @returns {string|null} Owner login
+     */
+    getRequestOwner(url = '') {
+        const match = url.match(/\/repos\/([^/?#]+)\//);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Send a GET request with If-None-Match, serving 304 responses from the
+     * local ETag store. 304s do not count against the rate limit.
+     * @param {Object} config - Axios request config (url, params, headers, ...)
+     * @returns {Promise<Object>} Axios response (status 304 carries the stored body)
+     */
+    async conditionalRequest(config) {
+        if (!this.etagCache) {
+            return await this.request(config);
+        }
 
-        if (repoUrl.startsWith('https://github.com/')) {
-            parts = repoUrl.replace('https://github.com/', '').trim('/').split('/');
-        } else if (repoUrl.startsWith('git@github.com:')) {
-            parts = repoUrl.replace('git@github.com:', '').replace('.git', '').split('/');
-        } else {
-            throw new Error('Invalid GitHub repository URL format');
+        const cacheKey = this.getConditionalCacheKey(config);
+        const stored = await this.etagCache.get(cacheKey);
+
+        const response = await this.request({
+            ...config,
+            headers: {
+                ...config.headers,
+                ...(stored ? { 'If-None-Match': stored.etag } : {})
+            },
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304 && stored) {
+            conditionalRequestStats.hits++;
+            return { ...response, data: stored.data };
         }
 
-        if (parts.length !== 2) {
-            throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
+        conditionalRequestStats.misses++;
+        if (response.headers && response.headers.etag) {
+            await this.etagCache.set(cacheKey, {
+                etag: response.headers.etag,
+                data: response.data
+            });
         }
 
-        const owner = parts[0];
-        const repo = parts[1].replace('.git', '');
+        return response;
+    }
+
+    /**
+     * Build the ETag store key for a request
+     * @param {Object} config - Axios request config
+     * @returns {string} Cache key
+     */
+    getConditionalCacheKey(config) {
+        const params = config.params || {};
+        const query = Object.keys(params)
+            .filter(key => params[key] !== undefined && params[key] !== null)
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+        const accept = (config.headers && config.headers.Accept) || this.headers.Accept;
+        const installation = config.installationId ? ` installation:${config.installationId}` : '';
+
+        return `${accept}${installation} ${config.url}?${query}`;
+    }
 
-        return { owner, repo };
+    /**
+     * Write pending changes of the process-wide commit details and ETag caches,
+     * e.g. before exiting on an error
+     * @returns {Promise<void>}
+     */
+    static async flushSharedCaches() {
+        await Promise.all([...sharedCaches.values()].map(cache => cache.flush()));
+    }
+
+    /**
+     * Get hit/miss counts for conditional requests made by this process
+     * @returns {Object} { hits, misses, hitRate }
+     */
+    static getConditionalRequestStats() {
+        const total = conditionalRequestStats.hits + conditionalRequestStats.misses;
+        return {
+            hits: conditionalRequestStats.hits,
+            misses: conditionalRequestStats.misses,
+            hitRate: total > 0 ? Math.round((conditionalRequestStats.hits / total) * 100) : 0
+        };
+    }
+
+    /**
+     * Decide whether a failed request should be retried
+     * @param {Error} error - Axios error
+     * @param {number} attempt - Zero-based attempt number that failed
+     * @returns {number|null} Delay in milliseconds before retrying, or null to give up
+     * @throws {RateLimitError} When the rate limit is exhausted or the wait is too long
+     */
+    getRetryDelay(error, attempt) {
+        const response = error.response;
+        const canRetry = attempt < this.maxRetries;
+
+        // Network failures without a response
+        if (!response) {
+            return canRetry && TRANSIENT_ERROR_CODES.includes(error.code) ? backoffDelay(attempt) : null;
+        }
+
+        const status = response.status;
+        const headers = response.headers || {};
+
+        if (status === 403 || status === 429) {
+            const retryAfter = parseInt(headers['retry-after'], 10);
+            const remaining = headers['x-ratelimit-remaining'];
+            const message = (response.data && response.data.message) || '';
+            const isSecondaryLimit = !isNaN(retryAfter) || /secondary rate limit/i.test(message);
+
+            // Primary rate limit: the hourly budget is used up
+            if (!isSecondaryLimit && remaining === '0') {
+                const reset = parseInt(headers['x-ratelimit-reset'], 10);
+                const resetAt = isNaN(reset) ? null : new Date(reset * 1000);
+                throw new RateLimitError(
+                    this.formatRateLimitMessage(resetAt),
+                    {
+                        resetAt,
+                        limit: parseInt(headers['x-ratelimit-limit'], 10) || null,
+                        remaining: 0
+                    }
+                );
+            }
+
+            if (isSecondaryLimit) {
+                const delay = !isNaN(retryAfter) ? retryAfter * 1000 : backoffDelay(attempt, 60000, 60000);
+                if (!canRetry || delay > this.maxRetryWait * 1000) {
+                    const resetAt = new Date(Date.now() + delay);
+                    throw new RateLimitError(this.formatRateLimitMessage(resetAt), { resetAt });
+                }
+                return delay;
+            }
+
+            // Plain permission errors are not retried
+            return null;
+        }
+
+        if (status >= 500 && canRetry) {
+            return backoffDelay(attempt);
+        }
+
+        return null;
+    }
+
+    /**
+     * Record rate limit headers from the latest response
+     * @param {Object} headers - Response headers
+     */
+    updateRateLimit(headers = {}) {
+        if (headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+
+        this.rateLimit = {
+            limit: parseInt(headers['x-ratelimit-limit'], 10),
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            resetAt: new Date(parseInt(headers['x-ratelimit-reset'], 10) * 1000)
+        };
+    }
+
+    /**
+     * Build a user-facing rate limit message
+     * @param {Date|null} resetAt - When requests may resume
+     * @returns {string} Message
+     */
+    formatRateLimitMessage(resetAt) {
+        if (!resetAt) {
+            return 'GitHub API rate limit exceeded';
+        }
+        const moment = require('moment');
+        return `GitHub API rate limit exceeded, resumes at ${moment(resetAt).format('HH:mm')}`;
+    }
+
+    /**
+     * Extract owner, repository name and an optional ref from a repository reference.
+     * Accepts owner/repo shorthand and web, deep-link, SSH and REST API URLs for the
+     * configured host (github.com or GHES).
+     * @param {string} repoUrl - GitHub repository URL or owner/repo
+     * @returns {Object} - {owner, repo, ref} (ref from /tree/<ref> or /commit/<sha> links, else null)
+     */
+    extractRepoInfo(repoUrl) {
+        const { host, owner, repo, ref } = parseRepoReference(repoUrl);
+
+        const expectedHost = getWebHost(this.baseUrl);
+        if (host && host !== expectedHost) {
+            throw new Error(`Repository host "${host}" does not match the configured GitHub host "${expectedHost}". Set GITHUB_API_URL or --api-url for GitHub Enterprise Server`);
+        }
+
+        return { owner, repo, ref };
     }
 
     /**
@@ -49,6 +432,10 @@ class GitHubService {
      * @returns {Promise<Array>} List of repositories
      */
     async getUserRepositories(options = {}) {
+        if (this.appAuth) {
+            return await this.getInstallationRepositories(options);
+        }
+
         const params = {
             sort: options.sort || 'updated',
             per_page: options.per_page || 100,
@@ -58,13 +445,46 @@ class GitHubService {
         };
 
         try {
-            const response = await axios.get(`${this.baseUrl}/user/repos`, {
-                headers: this.headers,
+            const response = await this.conditionalRequest({
+                url: `${this.baseUrl}/user/repos`,
                 params
             });
 
             return response.data;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch repositories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repositories the GitHub App can access, across its installations
+     * @param {Object} options - Options for fetching repositories (per_page)
+     * @returns {Promise<Array>} List of repositories
+     */
+    async getInstallationRepositories(options = {}) {
+        try {
+            const installationIds = this.appAuth.installationId
+                ? [this.appAuth.installationId]
+                : (await this.appAuth.listInstallations(this.baseUrl)).map(installation => installation.id);
+
+            const repositories = [];
+            for (const installationId of installationIds) {
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/installation/repositories`,
+                    params: { per_page: options.per_page || 100 },
+                    installationId
+                });
+                repositories.push(...response.data.repositories);
+            }
+
+            return repositories;
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to fetch repositories: ${error.message}`);
         }
     }
@@ -73,16 +493,27 @@ class GitHubService {
      * Get repository branches
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
-     * @returns {Promise<Array>} List of branches
+     * @returns {Promise<Array>} List of branches (every page)
      */
     async getRepositoryBranches(owner, repo) {
         try {
-            const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}/branches`, {
-                headers: this.headers
-            });
+            const branches = [];
+            const perPage = 100;
 
-            return response.data;
+            for (let page = 1; ; page++) {
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/repos/${owner}/${repo}/branches`,
+                    params: { per_page: perPage, page }
+                });
+                branches.push(...response.data);
+                if (response.data.length < perPage) {
+                    return branches;
+                }
+            }
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Failed to fetch branches: ${error.message}`);
         }
     }
@@ -92,24 +523,36 @@ class GitHubService {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {Object} options - Options for fetching commits
+     * @param {number} options.concurrency - Maximum parallel commit detail requests
+     * @param {string} options.backend - 'rest' or 'graphql' (defaults to GITHUB_BACKEND)
+     * @param {boolean} options.includeFiles - Load per-file details; the graphql backend skips them unless true
+     * @param {Array} options.paths - Path globs; GitHub lists only the commits under the directory they share
      * @returns {Promise<Array>} List of commits
      */
     async getCommits(owner, repo, options = {}) {
+        if (this.validateBackend(options.backend || this.backend) === 'graphql') {
+            return await this.getCommitsGraphQL(owner, repo, options);
+        }
+
         const commits = [];
         let page = 1;
-        const perPage = options.per_page || 100;
+        const { branch, concurrency, backend, includeFiles, paths, ...query } = options;
+        const perPage = query.per_page || 100;
+        const detailConcurrency = concurrency || this.concurrency;
 
         while (true) {
             const params = {
                 page,
                 per_page: perPage,
-                sha: options.branch || 'main',
-                ...options
+                // Without sha GitHub lists the repository's default branch
+                sha: branch || undefined,
+                path: getCommonPathPrefix(paths) || undefined,
+                ...query
             };
 
             try {
-                const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}/commits`, {
-                    headers: this.headers,
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/repos/${owner}/${repo}/commits`,
                     params
                 });
 
@@ -119,13 +562,13 @@ class GitHubService {
                     break;
                 }
 
-                // Get detailed commit information for each commit
-                for (const commit of pageCommits) {
-                    const detailedCommit = await this.getCommitDetails(owner, repo, commit.sha);
-                    if (detailedCommit) {
-                        commits.push(detailedCommit);
-                    }
-                }
+                // Get detailed commit information, keeping listing order
+                const detailedCommits = await mapWithConcurrency(
+                    pageCommits,
+                    detailConcurrency,
+                    commit => this.getCommitDetails(owner, repo, commit.sha)
+                );
+                commits.push(...detailedCommits.filter(Boolean));
 
                 page++;
 
@@ -135,6 +578,9 @@ class GitHubService {
                 }
 
             } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
                 throw new Error(`Error fetching commits: ${error.message}`);
             }
         }
@@ -143,75 +589,287 @@ class GitHubService {
     }
 
     /**
-     * Get commits for a specific date range
+     * Get the commits between two refs through the compare endpoint
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
-     * @param {string} fromDate - Start date
-     * @param {string} toDate - End date
-     * @param {string} branch - Branch name
-     * @param {string} author - Author/committer filter (optional)
-     * @returns {Promise<Array>} List of commits
+     * @param {string} base - Base tag, branch or SHA
+     * @param {string} head - Head tag, branch or SHA
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Array>} Commits reachable from head but not from base, newest first
      */
-    async getCommitsForDateRange(owner, repo, fromDate, toDate, branch = 'main', author = null) {
-        const options = {
-            since: fromDate,
-            until: toDate,
-            branch
-        };
+    async compareCommits(owner, repo, base, head, options = {}) {
+        const detailConcurrency = options.concurrency || this.concurrency;
+        const perPage = 100;
+        const listed = [];
+
+        try {
+            for (let page = 1; ; page++) {
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/repos/${owner}/${repo}/compare/${base}...${head}`,
+                    params: { per_page: perPage, page }
+                });
+                const pageCommits = response.data.commits || [];
+                listed.push(...pageCommits);
+                if (pageCommits.length < perPage || listed.length >= response.data.total_commits) {
+                    break;
+                }
+            }
 
-        // Add author filter if specified
-        if (author) {
-            options.author = author;
+            // The compare endpoint lists oldest first; reports list newest first
+            const commits = await mapWithConcurrency(
+                listed.reverse(),
+                detailConcurrency,
+                commit => this.getCommitDetails(owner, repo, commit.sha)
+            );
+            return commits.filter(Boolean);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            if (error.response && error.response.status === 404) {
+                throw new Error(`Cannot compare ${base}...${head}: one of the refs was not found`);
+            }
+            throw new Error(`Error comparing ${base}...${head}: ${error.message}`);
         }
+    }
 
-        return await this.getCommits(owner, repo, options);
+    /**
+     * Get the repository's tag names
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} Tag names
+     */
+    async getTags(owner, repo) {
+        try {
+            const tags = await this.listPages(`${this.baseUrl}/repos/${owner}/${repo}/tags`, {});
+            return tags.map(tag => tag.name);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching tags: ${error.message}`);
+        }
     }
 
     /**
-     * Get commits for a specific date
+     * Build the web URL showing the changes between two refs
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
-     * @param {string} date - Target date
-     * @param {string} branch - Branch name
-     * @param {string} author - Author/committer filter (optional)
+     * @param {string} base - Base ref
+     * @param {string} head - Head ref
+     * @returns {string} Compare URL
+     */
+    getCompareUrl(owner, repo, base, head) {
+        return `${this.buildRepositoryUrl(owner, repo)}/compare/${base}...${head}`;
+    }
+
+    /**
+     * Validate a commit history backend name
+     * @param {string} backend - Backend name
+     * @returns {string} The backend name
+     */
+    validateBackend(backend) {
+        if (!BACKENDS.includes(backend)) {
+            throw new Error(`Unknown backend "${backend}". Use ${BACKENDS.map(name => `"${name}"`).join(' or ')}`);
+        }
+        return backend;
+    }
+
+    /**
+     * Run a GraphQL query against the GitHub API
+     * @param {string} query - GraphQL query
+     * @param {Object} variables - Query variables
+     * @param {string} owner - Repository owner, to pick the GitHub App installation (optional)
+     * @returns {Promise<Object>} Query data
+     * @throws {RateLimitError} When the GraphQL rate limit is exhausted
+     */
+    async graphql(query, variables = {}, owner = null) {
+        const response = await this.request({
+            method: 'post',
+            url: getGraphqlUrl(this.baseUrl),
+            data: { query, variables },
+            owner
+        });
+
+        const { data, errors } = response.data;
+        if (errors && errors.length > 0) {
+            if (errors.some(error => error.type === 'RATE_LIMITED')) {
+                const reset = parseInt(response.headers['x-ratelimit-reset'], 10);
+                const resetAt = isNaN(reset) ? null : new Date(reset * 1000);
+                throw new RateLimitError(this.formatRateLimitMessage(resetAt), { resetAt, remaining: 0 });
+            }
+            throw new Error(errors.map(error => error.message).join('; '));
+        }
+
+        return data;
+    }
+
+    /**
+     * Get commits for a repository using batched GraphQL history queries.
+     * Commits carry totals and a changed file count; per-file details are only
+     * fetched (one getCommitDetails request per commit) when options.includeFiles is true.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Same options as getCommits
      * @returns {Promise<Array>} List of commits
      */
-    async getCommitsForDate(owner, repo, date, branch = 'main', author = null) {
+    async getCommitsGraphQL(owner, repo, options = {}) {
         const moment = require('moment');
-        const fromDate = date;
-        const toDate = moment(date).add(1, 'day').format('YYYY-MM-DD');
+        // HEAD resolves to the repository's default branch
+        const ref = options.sha || options.branch || 'HEAD';
+        const variables = {
+            owner,
+            name: repo,
+            ref,
+            pageSize: Math.min(options.per_page || 100, 100),
+            since: options.since ? moment.utc(options.since).toISOString() : null,
+            until: options.until ? moment.utc(options.until).toISOString() : null,
+            author: options.author ? await this.resolveCommitAuthor(options.author, owner) : null,
+            path: getCommonPathPrefix(options.paths),
+            cursor: null
+        };
+
+        const commits = [];
+
+        try {
+            while (true) {
+                const data = await this.graphql(COMMIT_HISTORY_QUERY, variables, owner);
+                const target = data.repository && data.repository.object;
+
+                if (!target || !target.history) {
+                    throw new Error(`Ref "${ref}" not found in ${owner}/${repo}`);
+                }
+
+                target.history.nodes.forEach(node => {
+                    commits.push({
+                        sha: node.oid,
+                        message: node.message,
+                        author: {
+                            name: node.author.name,
+                            email: node.author.email,
+                            date: node.author.date,
+                            login: node.author.user ? node.author.user.login : null
+                        },
+                        committer: {
+                            name: node.committer.name,
+                            email: node.committer.email,
+                            date: node.committer.date
+                        },
+                        parents: node.parents ? node.parents.nodes.map(parent => parent.oid) : null,
+                        files: [],
+                        changedFiles: node.changedFilesIfAvailable || 0,
+                        stats: {
+                            total: node.additions + node.deletions,
+                            additions: node.additions,
+                            deletions: node.deletions
+                        }
+                    });
+                });
+
+                if (!target.history.pageInfo.hasNextPage) {
+                    break;
+                }
+                variables.cursor = target.history.pageInfo.endCursor;
+            }
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commits: ${error.message}`);
+        }
+
+        if (options.includeFiles !== true) {
+            return commits;
+        }
+
+        return await this.loadCommitFiles(owner, repo, commits, options);
+    }
+
+    /**
+     * Resolve a REST-style author filter (login or email) to a GraphQL CommitAuthor
+     * @param {string} author - GitHub login or email address
+     * @param {string} owner - Repository owner, to pick the GitHub App installation (optional)
+     * @returns {Promise<Object>} CommitAuthor input
+     */
+    async resolveCommitAuthor(author, owner = null) {
+        if (author.includes('@')) {
+            return { emails: [author] };
+        }
 
-        return await this.getCommitsForDateRange(owner, repo, fromDate, toDate, branch, author);
+        const data = await this.graphql('query($login: String!) { user(login: $login) { id } }', { login: author }, owner);
+        if (!data.user) {
+            throw new Error(`GitHub user "${author}" not found`);
+        }
+        return { id: data.user.id };
     }
 
     /**
-     * Get detailed information about a specific commit
+     * Fill in per-file details for commits that were listed without them
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array} commits - Commits with empty file lists
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Array>} Commits with files populated
+     */
+    async loadCommitFiles(owner, repo, commits, options = {}) {
+        return await mapWithConcurrency(
+            commits,
+            options.concurrency || this.concurrency,
+            async commit => {
+                if (commit.files && commit.files.length > 0) {
+                    return commit;
+                }
+                const details = await this.getCommitDetails(owner, repo, commit.sha);
+                return {
+                    ...commit,
+                    files: details.files,
+                    changedFiles: details.files.length
+                };
+            }
+        );
+    }
+
+    /**
+     * Get detailed information about a specific commit.
+     * Results for full SHAs are served from the local cache when available.
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} sha - Commit SHA
      * @returns {Promise<Object>} Detailed commit information
      */
     async getCommitDetails(owner, repo, sha) {
+        const cacheKey = `${owner}/${repo}/${sha}`.toLowerCase();
+
         try {
-            const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}`, {
-                headers: this.headers
+            if (this.cache && FULL_SHA_PATTERN.test(sha)) {
+                const cached = await this.cache.get(cacheKey);
+                // Entries cached before author logins and parents were recorded are fetched again
+                if (cached && 'login' in cached.author && cached.parents) {
+                    return cached;
+                }
+            }
+
+            const response = await this.request({
+                url: `${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}`
             });
 
             const commitData = response.data;
 
-            return {
+            const details = {
                 sha: commitData.sha,
                 message: commitData.commit.message,
                 author: {
                     name: commitData.commit.author.name,
                     email: commitData.commit.author.email,
-                    date: commitData.commit.author.date
+                    date: commitData.commit.author.date,
+                    login: commitData.author ? commitData.author.login : null
                 },
                 committer: {
                     name: commitData.commit.committer.name,
                     email: commitData.commit.committer.email,
                     date: commitData.commit.committer.date
                 },
+                parents: (commitData.parents || []).map(parent => parent.sha),
                 files: commitData.files.map(file => ({
                     filename: file.filename,
                     status: file.status,
@@ -226,7 +884,16 @@ class GitHubService {
                 }
             };
 
+            if (this.cache) {
+                await this.cache.set(`${owner}/${repo}/${details.sha}`.toLowerCase(), details);
+            }
+
+            return details;
+
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Error fetching commit details for ${sha}: ${error.message}`);
         }
     }
@@ -240,9 +907,9 @@ class GitHubService {
      */
     async getCommitDiff(owner, repo, sha) {
         try {
-            const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}`, {
+            const response = await this.request({
+                url: `${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}`,
                 headers: {
-                    ...this.headers,
                     'Accept': 'application/vnd.github.v3.diff'
                 }
             });
@@ -253,6 +920,9 @@ class GitHubService {
                 files: this.parseDiffFiles(response.data)
             };
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Error fetching commit diff for ${sha}: ${error.message}`);
         }
     }
@@ -263,59 +933,7 @@ class GitHubService {
      * @returns {Array} Array of file changes
      */
     parseDiffFiles(diff) {
-        const files = [];
-        const lines = diff.split('\n');
-        let currentFile = null;
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-
-            if (line.startsWith('diff --git')) {
-                if (currentFile) {
-                    files.push(currentFile);
-                }
-                currentFile = {
-                    filename: this.extractFilenameFromDiffLine(line),
-                    additions: 0,
-                    deletions: 0,
-                    changes: []
-                };
-            } else if (line.startsWith('@@') && currentFile) {
-                // Parse hunk header
-                const hunkMatch = line.match(/@@ -(\d+),?(\d*) \+(\d+),?(\d*) @@/);
-                if (hunkMatch) {
-                    currentFile.changes.push({
-                        oldStart: parseInt(hunkMatch[1]),
-                        oldLines: parseInt(hunkMatch[2]) || 1,
-                        newStart: parseInt(hunkMatch[3]),
-                        newLines: parseInt(hunkMatch[4]) || 1
-                    });
-                }
-            } else if (line.startsWith('+') && !line.startsWith('+++') && currentFile) {
-                currentFile.additions++;
-            } else if (line.startsWith('-') && !line.startsWith('---') && currentFile) {
-                currentFile.deletions++;
-            }
-        }
-
-        if (currentFile) {
-            files.push(currentFile);
-        }
-
-        return files;
-    }
-
-    /**
-     * Extract filename from diff line
-     * @param {string} line - Diff line
-     * @returns {string} Filename
-     */
-    extractFilenameFromDiffLine(line) {
-        const match = line.match(/diff --git a\/(.+) b\/(.+)/);
-        if (match) {
-            return match[2]; // Return the 'b' filename (new filename)
-        }
-        return '';
+        return parseDiffFiles(diff);
     }
 
     /**
@@ -326,24 +944,31 @@ class GitHubService {
      */
     async getRepository(owner, repo) {
         try {
-            const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}`, {
-                headers: this.headers
+            const response = await this.request({
+                url: `${this.baseUrl}/repos/${owner}/${repo}`
             });
 
             return response.data;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Error fetching repository: ${error.message}`);
         }
     }
 
     /**
-     * Check if token is valid
+     * Check if token (or GitHub App credentials) is valid
      * @returns {Promise<boolean>} True if token is valid
      */
     async validateToken() {
+        if (this.appAuth) {
+            return await this.appAuth.validate(this.baseUrl);
+        }
+
         try {
-            const response = await axios.get(`${this.baseUrl}/user`, {
-                headers: this.headers
+            const response = await this.request({
+                url: `${this.baseUrl}/user`
             });
 
             return response.status === 200;
@@ -352,6 +977,33 @@ class GitHubService {
         }
     }
 
+    /**
+     * Read a file from the repository through the contents API
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} filePath - Path from the repository root
+     * @param {string} ref - Branch, tag or SHA (optional; defaults to the default branch)
+     * @returns {Promise<string|null>} File content, or null when the file does not exist
+     */
+    async getFileContent(owner, repo, filePath, ref = null) {
+        try {
+            const response = await this.conditionalRequest({
+                url: `${this.baseUrl}/repos/${owner}/${repo}/contents/${filePath}`,
+                params: ref ? { ref } : {}
+            });
+            const { content = '', encoding } = response.data;
+            return encoding === 'base64' ? Buffer.from(content, 'base64').toString('utf8') : content;
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw new Error(`Error fetching ${owner}/${repo}/${filePath}: ${error.message}`);
+        }
+    }
+
     /**
      * Get repository contributors
      * @param {string} owner - Repository owner
@@ -360,8 +1012,8 @@ class GitHubService {
      */
     async getRepositoryContributors(owner, repo) {
         try {
-            const response = await axios.get(`${this.baseUrl}/repos/${owner}/${repo}/contributors`, {
-                headers: this.headers,
+            const response = await this.conditionalRequest({
+                url: `${this.baseUrl}/repos/${owner}/${repo}/contributors`,
                 params: {
                     per_page: 100,
                     sort: 'contributions',
@@ -371,22 +1023,304 @@ class GitHubService {
 
             return response.data;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Error fetching repository contributors: ${error.message}`);
         }
     }
 
+    /**
+     * Get the members of an organization team, including members of its child teams
+     * @param {string} org - Organization login
+     * @param {string} teamSlug - Team slug
+     * @returns {Promise<Array>} Member logins
+     */
+    async getTeamMembers(org, teamSlug) {
+        try {
+            const members = await this.listPages(`${this.baseUrl}/orgs/${org}/teams/${teamSlug}/members`, {});
+            return members.map(member => member.login);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            if (error.response && error.response.status === 404) {
+                throw new Error(`Team ${org}/${teamSlug} not found, or the token cannot read its members`);
+            }
+            throw new Error(`Error fetching members of team ${org}/${teamSlug}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Map commits to the pull requests they belong to. Each PR is fetched with
+     * its reviews once, however many of the commits it contains.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array} shas - Commit SHAs
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Map>} SHA -> pull request summary ({ number, title, url, author, labels, reviewers, state, mergedAt }); commits without a PR are absent
+     */
+    async getPullRequestsForCommits(owner, repo, shas, options = {}) {
+        const concurrency = options.concurrency || this.concurrency;
+
+        try {
+            const associations = await mapWithConcurrency(shas, concurrency, async sha => {
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}/pulls`,
+                    params: { per_page: 100 }
+                });
+                // Prefer the merged PR when a commit appears in several (e.g. a branch reused after a closed PR)
+                const pulls = response.data || [];
+                return pulls.find(pull => pull.merged_at) || pulls[0] || null;
+            });
+
+            const pullsByNumber = new Map();
+            associations.forEach(pull => {
+                if (pull && !pullsByNumber.has(pull.number)) {
+                    pullsByNumber.set(pull.number, pull);
+                }
+            });
+
+            const summaries = new Map();
+            await mapWithConcurrency([...pullsByNumber.values()], concurrency, async pull => {
+                const reviews = await this.getPullRequestReviews(owner, repo, pull.number);
+                summaries.set(pull.number, this.toPullRequestSummary(pull, reviews));
+            });
+
+            const pullRequests = new Map();
+            shas.forEach((sha, index) => {
+                if (associations[index]) {
+                    pullRequests.set(sha, summaries.get(associations[index].number));
+                }
+            });
+            return pullRequests;
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching pull requests for commits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the submitted reviews of a pull request
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} number - Pull request number
+     * @returns {Promise<Array>} Reviews, oldest first
+     */
+    async getPullRequestReviews(owner, repo, number) {
+        const response = await this.conditionalRequest({
+            url: `${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}/reviews`,
+            params: { per_page: 100 }
+        });
+        return (response.data || []).filter(review => review.state !== 'PENDING');
+    }
+
+    /**
+     * Reduce a pull request and its reviews to the fields reports show
+     * @param {Object} pull - Pull request from the REST API
+     * @param {Array} reviews - Submitted reviews
+     * @returns {Object} Pull request summary
+     */
+    toPullRequestSummary(pull, reviews = []) {
+        const author = pull.user ? pull.user.login : null;
+        // Reviewers who submitted a review, then those still requested
+        const reviewers = [...new Set([
+            ...reviews.map(review => review.user && review.user.login),
+            ...(pull.requested_reviewers || []).map(reviewer => reviewer.login)
+        ])].filter(login => login && login !== author);
+
+        return {
+            number: pull.number,
+            title: pull.title,
+            url: pull.html_url,
+            author,
+            labels: (pull.labels || []).map(label => label.name),
+            reviewers,
+            state: pull.merged_at ? 'merged' : pull.state,
+            mergedAt: pull.merged_at || null
+        };
+    }
+
+    /**
+     * Get the review activity on pull requests updated since a date: submitted reviews
+     * (approvals, change requests, comments) and inline review comments.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} since - Start date (ISO format)
+     * @param {string} until - End date (ISO format)
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Array>} Pull requests ({ number, title, url, author, createdAt, reviews: [{ reviewer, state, body, submittedAt }], comments: [{ reviewer, createdAt }] })
+     */
+    async getReviewActivity(owner, repo, since, until, options = {}) {
+        const concurrency = options.concurrency || this.concurrency;
+        const sinceTime = Date.parse(since);
+        const untilTime = Date.parse(until);
+
+        try {
+            // A review in the range updates its PR, so PRs last updated before it can be skipped
+            const pulls = [];
+            const perPage = 100;
+            for (let page = 1; ; page++) {
+                const response = await this.conditionalRequest({
+                    url: `${this.baseUrl}/repos/${owner}/${repo}/pulls`,
+                    params: { state: 'all', sort: 'updated', direction: 'desc', per_page: perPage, page }
+                });
+                const data = response.data || [];
+                const updated = data.filter(pull => Date.parse(pull.updated_at) >= sinceTime);
+                pulls.push(...updated.filter(pull => Date.parse(pull.created_at) <= untilTime));
+                if (data.length < perPage || updated.length < data.length) {
+                    break;
+                }
+            }
+
+            return await mapWithConcurrency(pulls, concurrency, async pull => {
+                const [reviews, comments] = await Promise.all([
+                    this.getPullRequestReviews(owner, repo, pull.number),
+                    this.getPullRequestReviewComments(owner, repo, pull.number)
+                ]);
+
+                return {
+                    number: pull.number,
+                    title: pull.title,
+                    url: pull.html_url,
+                    author: pull.user ? pull.user.login : null,
+                    createdAt: pull.created_at,
+                    reviews: reviews.map(review => ({
+                        reviewer: review.user ? review.user.login : null,
+                        state: review.state,
+                        body: review.body || '',
+                        submittedAt: review.submitted_at
+                    })),
+                    comments: comments.map(comment => ({
+                        reviewer: comment.user ? comment.user.login : null,
+                        createdAt: comment.created_at
+                    }))
+                };
+            });
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching review activity: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the inline review comments of a pull request
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} number - Pull request number
+     * @returns {Promise<Array>} Review comments
+     */
+    async getPullRequestReviewComments(owner, repo, number) {
+        const comments = [];
+        const perPage = 100;
+
+        for (let page = 1; ; page++) {
+            const response = await this.conditionalRequest({
+                url: `${this.baseUrl}/repos/${owner}/${repo}/pulls/${number}/comments`,
+                params: { per_page: perPage, page }
+            });
+            comments.push(...(response.data || []));
+            if (!response.data || response.data.length < perPage) {
+                return comments;
+            }
+        }
+    }
+
+    /**
+     * Get the issues opened, closed or commented on within a date range. Pull requests,
+     * which the issues API also returns, are left out.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} since - Start date (ISO format)
+     * @param {string} until - End date (ISO format)
+     * @returns {Promise<Array>} Issues ({ number, title, url, state, author, createdAt, closedAt, opened, closed, comments }), most recently updated first
+     */
+    async getIssueActivity(owner, repo, since, until) {
+        const sinceTime = Date.parse(since);
+        const untilTime = Date.parse(until);
+        const inRange = date => {
+            const time = Date.parse(date);
+            return time >= sinceTime && time <= untilTime;
+        };
+
+        try {
+            // Opening, closing and commenting all update an issue, so `since` finds every candidate
+            const issues = (await this.listPages(`${this.baseUrl}/repos/${owner}/${repo}/issues`, {
+                state: 'all', since, sort: 'updated', direction: 'desc'
+            })).filter(issue => !issue.pull_request);
+            const comments = await this.listPages(`${this.baseUrl}/repos/${owner}/${repo}/issues/comments`, {
+                since, sort: 'updated', direction: 'asc'
+            });
+
+            const commentCounts = new Map();
+            comments.filter(comment => inRange(comment.created_at)).forEach(comment => {
+                const number = parseInt(comment.issue_url.split('/').pop(), 10);
+                commentCounts.set(number, (commentCounts.get(number) || 0) + 1);
+            });
+
+            return issues
+                .map(issue => ({
+                    number: issue.number,
+                    title: issue.title,
+                    url: issue.html_url,
+                    state: issue.state,
+                    author: issue.user ? issue.user.login : null,
+                    createdAt: issue.created_at,
+                    closedAt: issue.closed_at || null,
+                    opened: inRange(issue.created_at),
+                    closed: !!issue.closed_at && inRange(issue.closed_at),
+                    comments: commentCounts.get(issue.number) || 0
+                }))
+                .filter(issue => issue.opened || issue.closed || issue.comments > 0);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching issue activity: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read every page of a paginated API listing
+     * @param {string} url - Listing URL
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Array>} All items
+     */
+    async listPages(url, params) {
+        const items = [];
+        const perPage = 100;
+
+        for (let page = 1; ; page++) {
+            const response = await this.conditionalRequest({
+                url,
+                params: { ...params, per_page: perPage, page }
+            });
+            items.push(...(response.data || []));
+            if (!response.data || response.data.length < perPage) {
+                return items;
+            }
+        }
+    }
+
     /**
      * Get rate limit information
      * @returns {Promise<Object>} Rate limit information
      */
     async getRateLimit() {
         try {
-            const response = await axios.get(`${this.baseUrl}/rate_limit`, {
-                headers: this.headers
+            const response = await this.request({
+                url: `${this.baseUrl}/rate_limit`
             });
 
             return response.data;
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             throw new Error(`Error fetching rate limit: ${error.message}`);
         }
     }
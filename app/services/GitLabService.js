@@ -0,0 +1,433 @@
+/**
+ * GitLab Service
+ * Reads commit data from gitlab.com or a self-hosted GitLab through the RepositoryProvider interface
+ */
+
+const moment = require('moment');
+const { GITLAB_TOKEN, GITLAB_URL } = require('../config/config');
+const RestProvider = require('./RestProvider');
+const RateLimitError = require('../errors/RateLimitError');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { splitRepoReference } = require('../utils/repoReference');
+const { parseDiffFiles } = require('../utils/diff');
+const { getCommonPathPrefix } = require('../utils/commitFilters');
+
+class GitLabService extends RestProvider {
+    /**
+     * @param {string} token - GitLab access token
+     * @param {Object} options - Service options (see RestProvider)
+     * @param {string} options.webUrl - GitLab web root (defaults to GITLAB_URL)
+     */
+    constructor(token = GITLAB_TOKEN, options = {}) {
+        super({
+            ...options,
+            providerName: 'GitLab',
+            headers: token ? { 'PRIVATE-TOKEN': token } : {}
+        });
+        this.token = token;
+        this.webUrl = (options.webUrl || GITLAB_URL).replace(/\/+$/, '');
+        this.host = new URL(this.webUrl).host.toLowerCase();
+    }
+
+    /**
+     * Check whether a host serves GitLab: gitlab.com, the GITLAB_URL host or any gitlab.* host
+     * @param {string} host - Lower-cased host
+     * @returns {boolean} True for GitLab hosts
+     */
+    static isGitLabHost(host) {
+        return host === 'gitlab.com'
+            || host === new URL(GITLAB_URL).host.toLowerCase()
+            || /^gitlab\./.test(host);
+    }
+
+    /**
+     * Get the web root for a GitLab host, keeping GITLAB_URL's scheme and path for its own host
+     * @param {string} host - Lower-cased host
+     * @returns {string} Web root URL
+     */
+    static webUrlForHost(host) {
+        const configured = new URL(GITLAB_URL);
+        return host === configured.host.toLowerCase() ? GITLAB_URL : `https://${host}`;
+    }
+
+    /**
+     * REST API base URL
+     * @returns {string} Base URL, e.g. https://gitlab.com/api/v4
+     */
+    get baseUrl() {
+        return `${this.webUrl}/api/v4`;
+    }
+
+    /**
+     * Fetch every page of a list endpoint, following X-Next-Page
+     * @param {Object} config - Axios request config
+     * @returns {Promise<Array>} All items
+     */
+    async paginate(config) {
+        const items = [];
+        let page = 1;
+
+        while (page) {
+            const response = await this.request({
+                ...config,
+                params: { per_page: 100, ...config.params, page }
+            });
+            items.push(...response.data);
+            page = parseInt(response.headers && response.headers['x-next-page'], 10) || null;
+        }
+
+        return items;
+    }
+
+    /**
+     * Extract the project namespace and name from a GitLab URL.
+     * Namespaces may be nested (group/subgroup/project).
+     * @param {string} repoUrl - GitLab project URL
+     * @returns {Object} - {owner, repo, ref} (owner is the full namespace; ref from /-/tree/<ref> or /-/commit/<sha>)
+     */
+    extractRepoInfo(repoUrl) {
+        const { host, segments, isWebUrl } = splitRepoReference(repoUrl);
+
+        if (host && host !== this.host) {
+            throw new Error(`Repository host "${host}" does not match the GitLab host "${this.host}"`);
+        }
+
+        let projectSegments = segments;
+        let ref = null;
+        const separator = segments.indexOf('-');
+        if (separator !== -1) {
+            if (!isWebUrl) {
+                throw new Error('Invalid GitLab repository URL. Expected format: group/project');
+            }
+            const rest = segments.slice(separator + 1);
+            projectSegments = segments.slice(0, separator);
+            if ((rest[0] === 'tree' || rest[0] === 'commits') && rest.length > 1) {
+                ref = rest.slice(1).join('/');
+            } else if (rest[0] === 'commit' && rest.length > 1) {
+                ref = rest[1];
+            }
+        }
+
+        if (projectSegments.length < 2) {
+            throw new Error('Invalid GitLab repository URL. Expected format: group/project');
+        }
+
+        const repo = projectSegments[projectSegments.length - 1].replace(/\.git$/, '');
+        const owner = projectSegments.slice(0, -1).join('/');
+
+        return { owner, repo, ref };
+    }
+
+    /**
+     * Build the API project path for a namespace and project
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @returns {string} URL of the project resource
+     */
+    projectUrl(owner, repo) {
+        return `${this.baseUrl}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+    }
+
+    /**
+     * Get projects the token's user is a member of
+     * @param {Object} options - Options for fetching repositories (per_page)
+     * @returns {Promise<Array>} List of repositories in the GitHub API shape
+     */
+    async getUserRepositories(options = {}) {
+        try {
+            const response = await this.request({
+                url: `${this.baseUrl}/projects`,
+                params: {
+                    membership: true,
+                    order_by: 'last_activity_at',
+                    per_page: options.per_page || 100
+                }
+            });
+
+            return response.data.map(project => this.toRepository(project));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch repositories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository information
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @returns {Promise<Object>} Repository information in the GitHub API shape
+     */
+    async getRepository(owner, repo) {
+        try {
+            const response = await this.request({ url: this.projectUrl(owner, repo) });
+            return this.toRepository(response.data);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository branches
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @returns {Promise<Array>} List of branches ({ name, protected })
+     */
+    async getRepositoryBranches(owner, repo) {
+        try {
+            const branches = await this.paginate({ url: `${this.projectUrl(owner, repo)}/repository/branches` });
+            return branches.map(branch => ({ name: branch.name, protected: branch.protected }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch branches: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get commits for a project. Per-file details come from the commit diff
+     * endpoint unless options.includeFiles is false.
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @param {Object} options - Options (branch, sha, since, until, author, concurrency, includeFiles)
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async getCommits(owner, repo, options = {}) {
+        let commits;
+
+        try {
+            const listed = await this.paginate({
+                url: `${this.projectUrl(owner, repo)}/repository/commits`,
+                params: {
+                    // Without ref_name GitLab lists the project's default branch
+                    ref_name: options.sha || options.branch || undefined,
+                    since: options.since ? moment.utc(options.since).toISOString() : undefined,
+                    until: options.until ? moment.utc(options.until).toISOString() : undefined,
+                    author: options.author || undefined,
+                    path: getCommonPathPrefix(options.paths) || undefined,
+                    with_stats: true
+                }
+            });
+            commits = listed.map(commit => this.toCommit(commit));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commits: ${error.message}`);
+        }
+
+        if (options.includeFiles === false) {
+            return commits;
+        }
+
+        return await mapWithConcurrency(
+            commits,
+            options.concurrency || this.concurrency,
+            async commit => ({
+                ...commit,
+                files: await this.getCommitFiles(owner, repo, commit.sha)
+            })
+        );
+    }
+
+    /**
+     * Get detailed information about a specific commit
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Detailed commit information
+     */
+    async getCommitDetails(owner, repo, sha) {
+        try {
+            const [response, files] = await Promise.all([
+                this.request({ url: `${this.projectUrl(owner, repo)}/repository/commits/${encodeURIComponent(sha)}` }),
+                this.getCommitFiles(owner, repo, sha)
+            ]);
+            return this.toCommit(response.data, files);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit details for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the per-file diff entries of a commit
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Array>} GitLab diff entries
+     */
+    async getCommitDiffEntries(owner, repo, sha) {
+        return await this.paginate({
+            url: `${this.projectUrl(owner, repo)}/repository/commits/${encodeURIComponent(sha)}/diff`
+        });
+    }
+
+    /**
+     * Get the changed files of a commit
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Array>} File changes
+     */
+    async getCommitFiles(owner, repo, sha) {
+        const entries = await this.getCommitDiffEntries(owner, repo, sha);
+        return entries.map(entry => this.toFile(entry));
+    }
+
+    /**
+     * Get commit diff/patch as a unified diff
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Commit diff data
+     */
+    async getCommitDiff(owner, repo, sha) {
+        try {
+            const entries = await this.getCommitDiffEntries(owner, repo, sha);
+            const diff = entries.map(entry => [
+                `diff --git a/${entry.old_path} b/${entry.new_path}`,
+                `--- ${entry.new_file ? '/dev/null' : `a/${entry.old_path}`}`,
+                `+++ ${entry.deleted_file ? '/dev/null' : `b/${entry.new_path}`}`,
+                entry.diff.replace(/\n$/, '')
+            ].join('\n')).join('\n');
+
+            return {
+                sha: sha,
+                diff: diff,
+                files: parseDiffFiles(diff)
+            };
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit diff for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository contributors
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project name
+     * @returns {Promise<Array>} List of contributors, most commits first
+     */
+    async getRepositoryContributors(owner, repo) {
+        try {
+            const contributors = await this.paginate({
+                url: `${this.projectUrl(owner, repo)}/repository/contributors`,
+                params: { order_by: 'commits', sort: 'desc' }
+            });
+
+            return contributors.map(contributor => ({
+                login: contributor.name,
+                name: contributor.name,
+                email: contributor.email,
+                avatar_url: null,
+                contributions: contributor.commits
+            }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository contributors: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a GitLab commit to the provider commit shape
+     * @param {Object} data - GitLab commit
+     * @param {Array} files - File changes (optional)
+     * @returns {Object} Commit
+     */
+    toCommit(data, files = []) {
+        const stats = data.stats || { additions: 0, deletions: 0, total: 0 };
+
+        return {
+            sha: data.id,
+            message: (data.message || data.title || '').trim(),
+            author: {
+                name: data.author_name,
+                email: data.author_email,
+                date: data.authored_date
+            },
+            committer: {
+                name: data.committer_name,
+                email: data.committer_email,
+                date: data.committed_date
+            },
+            parents: data.parent_ids,
+            files,
+            stats: {
+                total: stats.total,
+                additions: stats.additions,
+                deletions: stats.deletions
+            }
+        };
+    }
+
+    /**
+     * Convert a GitLab diff entry to a file change, counting lines from its hunk text
+     * @param {Object} entry - GitLab diff entry
+     * @returns {Object} File change
+     */
+    toFile(entry) {
+        let additions = 0;
+        let deletions = 0;
+        // GitLab diffs carry hunks only, without ---/+++ headers
+        (entry.diff || '').split('\n').forEach(line => {
+            if (line.startsWith('+')) {
+                additions++;
+            } else if (line.startsWith('-')) {
+                deletions++;
+            }
+        });
+
+        let status = 'modified';
+        if (entry.new_file) {
+            status = 'added';
+        } else if (entry.deleted_file) {
+            status = 'removed';
+        } else if (entry.renamed_file) {
+            status = 'renamed';
+        }
+
+        return {
+            filename: entry.deleted_file ? entry.old_path : entry.new_path,
+            status,
+            additions,
+            deletions,
+            changes: additions + deletions
+        };
+    }
+
+    /**
+     * Convert a GitLab project to the GitHub repository shape used by the Repository model
+     * @param {Object} project - GitLab project
+     * @returns {Object} Repository data
+     */
+    toRepository(project) {
+        return {
+            id: project.id,
+            name: project.path,
+            full_name: project.path_with_namespace,
+            owner: project.namespace ? project.namespace.full_path : '',
+            description: project.description,
+            private: project.visibility !== 'public',
+            html_url: project.web_url,
+            default_branch: project.default_branch,
+            updated_at: project.last_activity_at,
+            clone_url: project.http_url_to_repo,
+            ssh_url: project.ssh_url_to_repo,
+            url: `${this.baseUrl}/projects/${project.id}`
+        };
+    }
+}
+
+module.exports = GitLabService;
@@ -0,0 +1,436 @@
+/**
+ * Gitea Service
+ * Reads commit data from a Gitea or Forgejo instance through the RepositoryProvider interface
+ */
+
+const moment = require('moment');
+const { GITEA_TOKEN, GITEA_URL } = require('../config/config');
+const RestProvider = require('./RestProvider');
+const RateLimitError = require('../errors/RateLimitError');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { splitRepoReference } = require('../utils/repoReference');
+const { parseDiffFiles } = require('../utils/diff');
+const { getCommonPathPrefix } = require('../utils/commitFilters');
+
+// Gitea's default MAX_RESPONSE_ITEMS; larger page sizes are capped by the server
+const PAGE_SIZE = 50;
+
+// Gitea file statuses mapped to the GitHub API's file statuses
+const FILE_STATUSES = {
+    added: 'added',
+    modified: 'modified',
+    removed: 'removed',
+    deleted: 'removed',
+    renamed: 'renamed',
+    copied: 'copied'
+};
+
+class GiteaService extends RestProvider {
+    /**
+     * @param {string} token - Gitea access token
+     * @param {Object} options - Service options (see RestProvider)
+     * @param {string} options.webUrl - Gitea web root (defaults to GITEA_URL)
+     */
+    constructor(token = GITEA_TOKEN, options = {}) {
+        super({
+            ...options,
+            providerName: 'Gitea',
+            headers: token ? { Authorization: `token ${token}` } : {}
+        });
+        const webUrl = options.webUrl || GITEA_URL;
+        if (!webUrl) {
+            throw new Error('Set GITEA_URL to the web root of your Gitea or Forgejo instance');
+        }
+        this.token = token;
+        this.webUrl = webUrl.replace(/\/+$/, '');
+        this.host = new URL(this.webUrl).host.toLowerCase();
+    }
+
+    /**
+     * Check whether a host serves Gitea or Forgejo: the GITEA_URL host, codeberg.org, or any gitea.* / forgejo.* host
+     * @param {string} host - Lower-cased host
+     * @returns {boolean} True for Gitea hosts
+     */
+    static isGiteaHost(host) {
+        return (GITEA_URL && host === new URL(GITEA_URL).host.toLowerCase())
+            || host === 'codeberg.org'
+            || /^(gitea|forgejo)\./.test(host);
+    }
+
+    /**
+     * Get the web root for a Gitea host, keeping GITEA_URL's scheme and path for its own host
+     * @param {string} host - Lower-cased host
+     * @returns {string} Web root URL
+     */
+    static webUrlForHost(host) {
+        if (GITEA_URL && host === new URL(GITEA_URL).host.toLowerCase()) {
+            return GITEA_URL;
+        }
+        return `https://${host}`;
+    }
+
+    /**
+     * REST API base URL
+     * @returns {string} Base URL, e.g. https://gitea.example.com/api/v1
+     */
+    get baseUrl() {
+        return `${this.webUrl}/api/v1`;
+    }
+
+    /**
+     * Fetch pages of a list endpoint until X-HasMore is false or a short page is returned
+     * @param {Object} config - Axios request config
+     * @param {Function} shouldStop - Called with each page's items; return true to stop early (optional)
+     * @returns {Promise<Array>} All items
+     */
+    async paginate(config, shouldStop = null) {
+        const items = [];
+
+        for (let page = 1; ; page++) {
+            const response = await this.request({
+                ...config,
+                params: { limit: PAGE_SIZE, ...config.params, page }
+            });
+            const pageItems = response.data || [];
+            items.push(...pageItems);
+
+            const hasMore = response.headers && response.headers['x-hasmore'];
+            const more = hasMore !== undefined ? hasMore === 'true' : pageItems.length >= PAGE_SIZE;
+            if (!more || pageItems.length === 0 || (shouldStop && shouldStop(pageItems))) {
+                return items;
+            }
+        }
+    }
+
+    /**
+     * Extract owner and repository name from a Gitea URL
+     * @param {string} repoUrl - Gitea repository URL
+     * @returns {Object} - {owner, repo, ref} (ref from /src/branch/<ref>, /commits/branch/<ref> or /commit/<sha>)
+     */
+    extractRepoInfo(repoUrl) {
+        const { host, segments, isWebUrl } = splitRepoReference(repoUrl);
+
+        if (host && host !== this.host) {
+            throw new Error(`Repository host "${host}" does not match the Gitea host "${this.host}"`);
+        }
+        if (segments.length < 2 || (segments.length > 2 && !isWebUrl)) {
+            throw new Error('Invalid Gitea repository URL. Expected format: owner/repo');
+        }
+
+        const [owner, name, ...rest] = segments;
+        let ref = null;
+        if ((rest[0] === 'src' || rest[0] === 'commits') && ['branch', 'tag', 'commit'].includes(rest[1]) && rest.length > 2) {
+            ref = rest.slice(2).join('/');
+        } else if (rest[0] === 'commit' && rest.length > 1) {
+            ref = rest[1];
+        }
+
+        return { owner, repo: name.replace(/\.git$/, ''), ref };
+    }
+
+    /**
+     * Build the API URL of a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {string} URL of the repository resource
+     */
+    repoUrl(owner, repo) {
+        return `${this.baseUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    }
+
+    /**
+     * Get repositories the token's user can access
+     * @param {Object} options - Options for fetching repositories (per_page)
+     * @returns {Promise<Array>} List of repositories in the GitHub API shape
+     */
+    async getUserRepositories(options = {}) {
+        try {
+            const response = await this.request({
+                url: `${this.baseUrl}/user/repos`,
+                params: { limit: options.per_page || PAGE_SIZE }
+            });
+
+            return response.data.map(repository => this.toRepository(repository));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch repositories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository information
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Object>} Repository information in the GitHub API shape
+     */
+    async getRepository(owner, repo) {
+        try {
+            const response = await this.request({ url: this.repoUrl(owner, repo) });
+            return this.toRepository(response.data);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository branches
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} List of branches ({ name, protected })
+     */
+    async getRepositoryBranches(owner, repo) {
+        try {
+            const branches = await this.paginate({ url: `${this.repoUrl(owner, repo)}/branches` });
+            return branches.map(branch => ({ name: branch.name, protected: branch.protected }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Failed to fetch branches: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get commits for a repository. Line counts per file come from the commit's
+     * .diff unless options.includeFiles is false.
+     * Older Gitea releases ignore since/until and no release filters by author,
+     * so both are also applied to the listed commits.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Options (branch, sha, since, until, author, concurrency, includeFiles)
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async getCommits(owner, repo, options = {}) {
+        const since = options.since ? moment.utc(options.since) : null;
+        const until = options.until ? moment.utc(options.until) : null;
+        const includeFiles = options.includeFiles !== false;
+        let commits;
+
+        try {
+            const listed = await this.paginate({
+                url: `${this.repoUrl(owner, repo)}/commits`,
+                params: {
+                    // Without sha Gitea lists the repository's default branch
+                    sha: options.sha || options.branch || undefined,
+                    since: since ? since.toISOString() : undefined,
+                    until: until ? until.toISOString() : undefined,
+                    path: getCommonPathPrefix(options.paths) || undefined,
+                    stat: true,
+                    files: includeFiles,
+                    verification: false
+                }
+            }, since ? page => page.every(commit => moment.utc(commit.commit.committer.date).isBefore(since)) : null);
+
+            commits = listed
+                .filter(commit => {
+                    const date = moment.utc(commit.commit.committer.date);
+                    return (!since || !date.isBefore(since)) && (!until || !date.isAfter(until));
+                })
+                .filter(commit => !options.author || this.matchesAuthor(commit, options.author));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commits: ${error.message}`);
+        }
+
+        if (!includeFiles) {
+            return commits.map(commit => this.toCommit(commit));
+        }
+
+        return await mapWithConcurrency(
+            commits,
+            options.concurrency || this.concurrency,
+            async commit => this.toCommit(commit, await this.getCommitDiffText(owner, repo, commit.sha))
+        );
+    }
+
+    /**
+     * Check whether a listed commit was authored by a login, name or email (case-insensitive)
+     * @param {Object} commit - Gitea commit
+     * @param {string} author - Login, name or email
+     * @returns {boolean} True when the commit matches
+     */
+    matchesAuthor(commit, author) {
+        const wanted = author.toLowerCase();
+        return [
+            commit.author && commit.author.login,
+            commit.commit.author.name,
+            commit.commit.author.email
+        ].some(value => value && value.toLowerCase() === wanted);
+    }
+
+    /**
+     * Get detailed information about a specific commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Detailed commit information
+     */
+    async getCommitDetails(owner, repo, sha) {
+        try {
+            const [response, diff] = await Promise.all([
+                this.request({
+                    url: `${this.repoUrl(owner, repo)}/git/commits/${encodeURIComponent(sha)}`,
+                    params: { stat: true, files: true, verification: false }
+                }),
+                this.getCommitDiffText(owner, repo, sha)
+            ]);
+            return this.toCommit(response.data, diff);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit details for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the raw unified diff of a commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<string>} Unified diff
+     */
+    async getCommitDiffText(owner, repo, sha) {
+        const response = await this.request({
+            url: `${this.repoUrl(owner, repo)}/git/commits/${encodeURIComponent(sha)}.diff`,
+            responseType: 'text'
+        });
+        return response.data;
+    }
+
+    /**
+     * Get commit diff/patch
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Commit diff data
+     */
+    async getCommitDiff(owner, repo, sha) {
+        try {
+            const diff = await this.getCommitDiffText(owner, repo, sha);
+            return {
+                sha: sha,
+                diff: diff,
+                files: parseDiffFiles(diff)
+            };
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching commit diff for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository contributors. Gitea has no contributors endpoint, so they
+     * are counted from the default branch history.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} List of contributors, most commits first
+     */
+    async getRepositoryContributors(owner, repo) {
+        try {
+            const repository = await this.getRepository(owner, repo);
+            const commits = await this.paginate({
+                url: `${this.repoUrl(owner, repo)}/commits`,
+                params: { sha: repository.default_branch, stat: false, files: false, verification: false }
+            });
+
+            const contributors = new Map();
+            commits.forEach(commit => {
+                const login = commit.author ? commit.author.login : commit.commit.author.name;
+                if (!contributors.has(login)) {
+                    contributors.set(login, {
+                        login,
+                        name: commit.commit.author.name,
+                        email: commit.commit.author.email,
+                        avatar_url: commit.author ? commit.author.avatar_url : null,
+                        contributions: 0
+                    });
+                }
+                contributors.get(login).contributions++;
+            });
+
+            return [...contributors.values()].sort((a, b) => b.contributions - a.contributions);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            throw new Error(`Error fetching repository contributors: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a Gitea commit to the provider commit shape
+     * @param {Object} data - Gitea commit (list or single commit response)
+     * @param {string} diff - Unified diff used for per-file line counts (optional)
+     * @returns {Object} Commit
+     */
+    toCommit(data, diff = null) {
+        const stats = data.stats || { total: 0, additions: 0, deletions: 0 };
+        const counts = new Map((diff ? parseDiffFiles(diff) : []).map(file => [file.filename, file]));
+        const files = (data.files || []).map(file => {
+            const count = counts.get(file.filename) || { additions: 0, deletions: 0 };
+            return {
+                filename: file.filename,
+                status: FILE_STATUSES[file.status] || 'modified',
+                additions: count.additions,
+                deletions: count.deletions,
+                changes: count.additions + count.deletions
+            };
+        });
+
+        return {
+            sha: data.sha,
+            message: (data.commit.message || '').trim(),
+            author: {
+                name: data.commit.author.name,
+                email: data.commit.author.email,
+                date: data.commit.author.date
+            },
+            committer: {
+                name: data.commit.committer.name,
+                email: data.commit.committer.email,
+                date: data.commit.committer.date
+            },
+            parents: data.parents ? data.parents.map(parent => parent.sha) : null,
+            files,
+            stats: {
+                total: stats.total,
+                additions: stats.additions,
+                deletions: stats.deletions
+            }
+        };
+    }
+
+    /**
+     * Convert a Gitea repository to the GitHub repository shape used by the Repository model
+     * @param {Object} repository - Gitea repository
+     * @returns {Object} Repository data
+     */
+    toRepository(repository) {
+        return {
+            id: repository.id,
+            name: repository.name,
+            full_name: repository.full_name,
+            owner: repository.owner ? repository.owner.login : '',
+            description: repository.description,
+            private: repository.private,
+            html_url: repository.html_url,
+            default_branch: repository.default_branch,
+            updated_at: repository.updated_at,
+            clone_url: repository.clone_url,
+            ssh_url: repository.ssh_url,
+            url: `${this.baseUrl}/repos/${repository.full_name}`
+        };
+    }
+}
+
+module.exports = GiteaService;
@@ -0,0 +1,264 @@
+/**
+ * Identity Service
+ * Resolves the names, emails and logins a person commits with to one canonical identity,
+ * using a repository's .mailmap, an alias file and the GitHub logins attached to commits
+ */
+
+const fs = require('fs-extra');
+const Commit = require('../models/Commit');
+const { parseMailmap } = require('../utils/mailmap');
+
+// GitHub noreply addresses: "12345+login@users.noreply.github.com" or "login@users.noreply.github.com"
+const NOREPLY_EMAIL = /^(?:\d+\+)?([^@+]+)@users\.noreply\./i;
+
+class IdentityService {
+    /**
+     * @param {Object} options - Identity rules
+     * @param {string} options.mailmap - .mailmap content (optional)
+     * @param {Array} options.aliases - Alias entries ({ name, email, aliases, logins }) from an alias file (optional)
+     */
+    constructor({ mailmap = '', aliases = [] } = {}) {
+        this.mailmap = parseMailmap(mailmap);
+        this.aliases = aliases;
+
+        // "email:<address>", "login:<login>" and "name:<name>" -> alias entry
+        this.aliasIndex = new Map();
+        aliases.forEach(alias => {
+            [alias.email, ...(alias.aliases || [])].filter(Boolean).forEach(value => {
+                this.aliasIndex.set(value.includes('@') ? `email:${value.toLowerCase()}` : `name:${value.toLowerCase()}`, alias);
+            });
+            this.aliasIndex.set(`name:${alias.name.toLowerCase()}`, alias);
+            (alias.logins || []).forEach(login => this.aliasIndex.set(`login:${login.toLowerCase()}`, alias));
+        });
+
+        // "email:<address>" and "login:<login>" -> canonical identity, filled in by resolveCommits
+        this.canonical = new Map();
+    }
+
+    /**
+     * Read an alias file: a JSON array of people, each with every address, name and login they commit with
+     * @param {string} filePath - Alias file path
+     * @returns {Promise<Array>} Alias entries ({ name, email, aliases, logins })
+     */
+    static async loadAliasFile(filePath) {
+        let aliases;
+        try {
+            aliases = await fs.readJson(filePath);
+        } catch (error) {
+            throw new Error(`Error reading alias file ${filePath}: ${error.message}`);
+        }
+
+        if (!Array.isArray(aliases)) {
+            throw new Error(`Alias file ${filePath} must contain a JSON array`);
+        }
+        aliases.forEach((alias, index) => {
+            if (!alias || typeof alias.name !== 'string' || !alias.name.trim()) {
+                throw new Error(`Alias file ${filePath}: entry ${index + 1} needs a "name"`);
+            }
+            ['aliases', 'logins'].forEach(key => {
+                if (alias[key] !== undefined && !Array.isArray(alias[key])) {
+                    throw new Error(`Alias file ${filePath}: "${key}" of ${alias.name} must be an array`);
+                }
+            });
+        });
+        return aliases;
+    }
+
+    /**
+     * Check whether any .mailmap or alias rules are loaded
+     * @returns {boolean} True when identities can be rewritten by rules, not only linked by login
+     */
+    hasRules() {
+        return this.mailmap.length > 0 || this.aliases.length > 0;
+    }
+
+    /**
+     * Apply the .mailmap to a person the way git does: an entry naming both the commit
+     * name and email wins over one naming only the email
+     * @param {Object} person - { name, email }
+     * @returns {Object} { name, email }
+     */
+    applyMailmap(person) {
+        const email = (person.email || '').toLowerCase();
+        const name = (person.name || '').toLowerCase();
+        const entry = this.mailmap.find(rule => rule.commitEmail === email && rule.commitName && rule.commitName.toLowerCase() === name)
+            || this.mailmap.find(rule => rule.commitEmail === email && !rule.commitName);
+
+        if (!entry) {
+            return { name: person.name, email: person.email };
+        }
+        return {
+            name: entry.properName || person.name,
+            email: entry.properEmail || person.email
+        };
+    }
+
+    /**
+     * Get the GitHub login of a person: the one attached to the commit, else the one in a noreply address
+     * @param {Object} person - { name, email, login }
+     * @returns {string|null} Login
+     */
+    getLogin(person) {
+        if (person.login) {
+            return person.login;
+        }
+        const match = (person.email || '').match(NOREPLY_EMAIL);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Resolve one person with the .mailmap and alias rules alone
+     * @param {Object} person - { name, email, login }
+     * @returns {Object} { name, email, login, fromAlias }
+     */
+    applyRules(person) {
+        const mapped = this.applyMailmap(person);
+        const login = this.getLogin(person);
+        const alias = [
+            mapped.email && `email:${mapped.email.toLowerCase()}`,
+            person.email && `email:${person.email.toLowerCase()}`,
+            login && `login:${login.toLowerCase()}`,
+            mapped.name && `name:${mapped.name.toLowerCase()}`
+        ].filter(Boolean).map(key => this.aliasIndex.get(key)).find(Boolean);
+
+        if (alias) {
+            return { name: alias.name, email: alias.email || mapped.email, login, fromAlias: true };
+        }
+        return { name: mapped.name, email: mapped.email, login, fromAlias: false };
+    }
+
+    /**
+     * Rewrite the authors, committers and co-authors of commits to canonical identities.
+     * Besides the .mailmap and alias rules, addresses used with the same GitHub login are
+     * treated as one person, shown with the name and address they commit with most.
+     * @param {Array} commits - Commits (models or plain commit data)
+     * @returns {Array} Commit models with canonical identities
+     */
+    resolveCommits(commits) {
+        const models = commits.map(commit => (commit instanceof Commit ? commit : new Commit(commit)));
+        const people = models.flatMap(commit => [commit.author, commit.committer, ...commit.coAuthors]);
+
+        // Link every address and login that belongs to the same person
+        const parents = new Map();
+        const find = key => {
+            while (parents.get(key) !== key) {
+                parents.set(key, parents.get(parents.get(key)));
+                key = parents.get(key);
+            }
+            return key;
+        };
+        const union = keys => {
+            keys.forEach(key => {
+                if (!parents.has(key)) {
+                    parents.set(key, key);
+                }
+            });
+            keys.slice(1).forEach(key => parents.set(find(key), find(keys[0])));
+        };
+        const keysOf = (person, resolved) => [
+            person.email && `email:${person.email.toLowerCase()}`,
+            resolved.email && `email:${resolved.email.toLowerCase()}`,
+            resolved.login && `login:${resolved.login.toLowerCase()}`
+        ].filter(Boolean);
+
+        const resolvedPeople = people.map(person => this.applyRules(person));
+        people.forEach((person, index) => union(keysOf(person, resolvedPeople[index])));
+
+        // Pick one identity per person: an alias entry, else the most used non-noreply identity
+        const candidates = new Map();
+        people.forEach((person, index) => {
+            const resolved = resolvedPeople[index];
+            const keys = keysOf(person, resolved);
+            if (keys.length === 0) {
+                return;
+            }
+            const root = find(keys[0]);
+            const identityKey = `${resolved.name}\u0000${(resolved.email || '').toLowerCase()}`;
+            const group = candidates.get(root) || new Map();
+            const candidate = group.get(identityKey) || { ...resolved, count: 0 };
+            candidate.count++;
+            candidate.login = candidate.login || resolved.login;
+            group.set(identityKey, candidate);
+            candidates.set(root, group);
+        });
+
+        const rank = candidate => [candidate.fromAlias ? 1 : 0, NOREPLY_EMAIL.test(candidate.email || '') ? 0 : 1, candidate.count];
+        const chosen = new Map();
+        candidates.forEach((group, root) => {
+            const best = [...group.values()].reduce((winner, candidate) => {
+                const [a, b] = [rank(candidate), rank(winner)];
+                const better = a.findIndex((value, i) => value !== b[i]);
+                return better !== -1 && a[better] > b[better] ? candidate : winner;
+            });
+            const login = [...group.values()].map(candidate => candidate.login).find(Boolean) || null;
+            chosen.set(root, { name: best.name, email: best.email, login });
+        });
+
+        this.canonical = new Map();
+        parents.forEach((parent, key) => this.canonical.set(key, chosen.get(find(key))));
+
+        return models.map(commit => new Commit({
+            ...commit.toJSON(),
+            author: { ...commit.author, ...this.resolve(commit.author) },
+            committer: { ...commit.committer, ...this.resolve(commit.committer) },
+            coAuthors: commit.coAuthors.map(coAuthor => {
+                const { name, email } = this.resolve(coAuthor);
+                return { name, email };
+            })
+        }));
+    }
+
+    /**
+     * Resolve one person to their canonical identity, using what resolveCommits learned
+     * @param {Object} person - { name, email, login }
+     * @returns {Object} { name, email, login }
+     */
+    resolve(person) {
+        const resolved = this.applyRules(person);
+        const known = [
+            person.email && `email:${person.email.toLowerCase()}`,
+            resolved.email && `email:${resolved.email.toLowerCase()}`,
+            resolved.login && `login:${resolved.login.toLowerCase()}`
+        ].filter(Boolean).map(key => this.canonical.get(key)).find(Boolean);
+
+        if (known) {
+            return { ...known };
+        }
+        return { name: resolved.name, email: resolved.email, login: resolved.login };
+    }
+
+    /**
+     * Check whether a resolved commit's author or committer is the person an author filter names.
+     * An email or login matches every address of its person; other text matches names as a substring.
+     * @param {Object} commit - Commit returned by resolveCommits
+     * @param {string} author - Email, GitHub login or name
+     * @returns {boolean} True when the commit belongs to that person
+     */
+    matchesAuthor(commit, author) {
+        const query = author.trim().toLowerCase();
+        if (query.includes('@')) {
+            const target = this.resolve({ name: '', email: query });
+            return [commit.author, commit.committer].some(person => (person.email || '').toLowerCase() === target.email.toLowerCase());
+        }
+        return this.matchesLogin(commit, query)
+            || [commit.author, commit.committer].some(person => (person.name || '').toLowerCase().includes(query));
+    }
+
+    /**
+     * Check whether a resolved commit's author or committer is the person with a GitHub login
+     * @param {Object} commit - Commit returned by resolveCommits
+     * @param {string} login - GitHub login
+     * @returns {boolean} True when the commit belongs to that person
+     */
+    matchesLogin(commit, login) {
+        const key = `login:${login.toLowerCase()}`;
+        const target = this.canonical.get(key) || this.aliasIndex.get(key);
+
+        return [commit.author, commit.committer].some(person =>
+            (person.login && person.login.toLowerCase() === login.toLowerCase())
+            || (target && target.email && (person.email || '').toLowerCase() === target.email.toLowerCase())
+        );
+    }
+}
+
+module.exports = IdentityService;
@@ -0,0 +1,365 @@
+/**
+ * Local Git Service
+ * Reads commit history from a repository on disk through the RepositoryProvider interface
+ */
+
+const { execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const moment = require('moment');
+const RepositoryProvider = require('./RepositoryProvider');
+const { parseDiffFiles } = require('../utils/diff');
+const { toPathGlobs } = require('../utils/commitFilters');
+
+// Field and record separators for git log output
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+// sha, author name/email/date, committer name/email/date, parent SHAs, message
+const LOG_FORMAT = `${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%cn${FIELD_SEPARATOR}%ce${FIELD_SEPARATOR}%cI${FIELD_SEPARATOR}%P${FIELD_SEPARATOR}%B${FIELD_SEPARATOR}`;
+
+// git --raw status letters mapped to the GitHub API's file statuses
+const FILE_STATUSES = {
+    A: 'added',
+    M: 'modified',
+    D: 'removed',
+    R: 'renamed',
+    C: 'copied',
+    T: 'changed'
+};
+
+// Large histories with numstat output easily exceed the default 1 MB buffer
+const MAX_OUTPUT_BYTES = 256 * 1024 * 1024;
+
+class LocalGitService extends RepositoryProvider {
+    /**
+     * @param {Object} options - Service options
+     * @param {string} options.gitPath - git executable (defaults to git on PATH)
+     */
+    constructor(options = {}) {
+        super();
+        this.gitPath = options.gitPath || 'git';
+    }
+
+    /**
+     * Check whether a repository reference is a local path rather than a URL
+     * @param {string} repoRef - Repository URL or path
+     * @returns {boolean} True for ./relative, ../relative, /absolute, ~/home and file:// paths
+     */
+    static isLocalPath(repoRef) {
+        return typeof repoRef === 'string'
+            && /^(\.{1,2}([\\/]|$)|[\\/]|~([\\/]|$)|file:\/\/|[A-Za-z]:[\\/])/.test(repoRef.trim());
+    }
+
+    /**
+     * Run a git command in a repository
+     * @param {string} repoPath - Repository directory
+     * @param {Array} args - git arguments
+     * @returns {Promise<string>} stdout
+     */
+    git(repoPath, args) {
+        return new Promise((resolve, reject) => {
+            execFile(
+                this.gitPath,
+                ['-C', repoPath, '-c', 'core.quotepath=off', ...args],
+                { maxBuffer: MAX_OUTPUT_BYTES, encoding: 'utf8' },
+                (error, stdout, stderr) => {
+                    if (error) {
+                        if (error.code === 'ENOENT') {
+                            reject(new Error('git is not installed or not on PATH'));
+                        } else {
+                            reject(new Error((stderr || error.message).trim()));
+                        }
+                        return;
+                    }
+                    resolve(stdout);
+                }
+            );
+        });
+    }
+
+    /**
+     * Resolve a local repository reference to its directory.
+     * The returned owner is the parent directory and repo the directory name,
+     * so path.join(owner, repo) is the repository path.
+     * @param {string} repoPath - Local path (./repo, /abs/repo, ~/repo or file:///repo)
+     * @returns {Object} - {owner, repo, ref} (ref is HEAD, the checked out branch)
+     */
+    extractRepoInfo(repoPath) {
+        let resolved = repoPath.trim();
+        if (resolved.startsWith('file://')) {
+            resolved = decodeURIComponent(new URL(resolved).pathname);
+        } else if (/^~([\\/]|$)/.test(resolved)) {
+            resolved = path.join(os.homedir(), resolved.slice(1));
+        }
+        resolved = path.resolve(resolved);
+
+        if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+            throw new Error(`Local repository path "${repoPath}" does not exist`);
+        }
+
+        return {
+            owner: path.dirname(resolved),
+            repo: path.basename(resolved),
+            ref: 'HEAD'
+        };
+    }
+
+    /**
+     * Get commits for a repository
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @param {Object} options - Options for fetching commits (branch, sha, since, until, author, paths)
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async getCommits(owner, repo, options = {}) {
+        const args = ['log', '--raw', '--numstat', '--find-renames', '--no-abbrev', `--format=${LOG_FORMAT}`];
+
+        // Match the GitHub API: bare dates are midnight UTC
+        if (options.since) {
+            args.push(`--since=${moment.utc(options.since).toISOString()}`);
+        }
+        if (options.until) {
+            args.push(`--until=${moment.utc(options.until).toISOString()}`);
+        }
+        if (options.author) {
+            args.push(`--author=${options.author.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, '--regexp-ignore-case');
+        }
+        args.push(options.sha || options.branch || 'HEAD', '--');
+        // Path globs become git pathspecs, which also limit the listed files
+        (options.paths || []).flatMap(toPathGlobs).forEach(glob => args.push(`:(glob)${glob}`));
+
+        try {
+            const output = await this.git(path.join(owner, repo), args);
+            return this.parseLog(output);
+        } catch (error) {
+            throw new Error(`Error reading local commits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse git log output produced with LOG_FORMAT, --raw and --numstat
+     * @param {string} output - git log stdout
+     * @returns {Array} Commits in the GitHubService shape
+     */
+    parseLog(output) {
+        return output
+            .split(RECORD_SEPARATOR)
+            .filter(record => record.trim())
+            .map(record => {
+                const [sha, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, parents, message, changes = ''] = record.split(FIELD_SEPARATOR);
+                const files = this.parseFileChanges(changes);
+                const additions = files.reduce((sum, file) => sum + file.additions, 0);
+                const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+
+                return {
+                    sha,
+                    message: message.trim(),
+                    author: {
+                        name: authorName,
+                        email: authorEmail,
+                        date: authorDate
+                    },
+                    committer: {
+                        name: committerName,
+                        email: committerEmail,
+                        date: committerDate
+                    },
+                    parents: parents.split(' ').filter(Boolean),
+                    files,
+                    stats: {
+                        total: additions + deletions,
+                        additions,
+                        deletions
+                    }
+                };
+            });
+    }
+
+    /**
+     * Combine --raw (status, paths) and --numstat (line counts) output for one commit.
+     * git prints both blocks in the same file order.
+     * @param {string} changes - Diff summary lines following a commit header
+     * @returns {Array} File changes
+     */
+    parseFileChanges(changes) {
+        const lines = changes.split('\n').filter(Boolean);
+        const rawLines = lines.filter(line => line.startsWith(':'));
+        const numstatLines = lines.filter(line => /^(\d+|-)\t(\d+|-)\t/.test(line));
+
+        return rawLines.map((line, index) => {
+            const [meta, ...paths] = line.split('\t');
+            const statusLetter = meta.split(' ').pop().charAt(0);
+            const [added = '0', deleted = '0'] = (numstatLines[index] || '').split('\t');
+            // Binary files report '-' for both counts
+            const additions = parseInt(added, 10) || 0;
+            const deletions = parseInt(deleted, 10) || 0;
+
+            return {
+                filename: paths[paths.length - 1],
+                status: FILE_STATUSES[statusLetter] || 'changed',
+                additions,
+                deletions,
+                changes: additions + deletions
+            };
+        });
+    }
+
+    /**
+     * Get detailed information about a specific commit
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @param {string} sha - Commit SHA or revision
+     * @returns {Promise<Object>} Detailed commit information
+     */
+    async getCommitDetails(owner, repo, sha) {
+        try {
+            const output = await this.git(path.join(owner, repo), [
+                'show', '--raw', '--numstat', '--find-renames', '--no-abbrev', `--format=${LOG_FORMAT}`, sha, '--'
+            ]);
+            const [details] = this.parseLog(output);
+            if (!details) {
+                throw new Error('commit not found');
+            }
+            return details;
+        } catch (error) {
+            throw new Error(`Error reading local commit details for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get commit diff/patch
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @param {string} sha - Commit SHA or revision
+     * @returns {Promise<Object>} Commit diff data
+     */
+    async getCommitDiff(owner, repo, sha) {
+        try {
+            const diff = await this.git(path.join(owner, repo), ['show', '--format=', '--patch', '--find-renames', sha, '--']);
+            return {
+                sha: sha,
+                diff: diff,
+                files: parseDiffFiles(diff)
+            };
+        } catch (error) {
+            throw new Error(`Error reading local commit diff for ${sha}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the commits reachable from head but not from base
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @param {string} base - Base tag, branch or SHA
+     * @param {string} head - Head tag, branch or SHA
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async compareCommits(owner, repo, base, head) {
+        return await this.getCommits(owner, repo, { sha: `${base}..${head}` });
+    }
+
+    /**
+     * Get the repository's tag names
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @returns {Promise<Array>} Tag names
+     */
+    async getTags(owner, repo) {
+        try {
+            const output = await this.git(path.join(owner, repo), ['tag', '--list']);
+            return output.split('\n').filter(Boolean);
+        } catch (error) {
+            throw new Error(`Failed to read local tags: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository branches
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @returns {Promise<Array>} List of branches ({ name, protected })
+     */
+    async getRepositoryBranches(owner, repo) {
+        try {
+            const output = await this.git(path.join(owner, repo), ['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+            return output.split('\n').filter(Boolean).map(name => ({ name, protected: false }));
+        } catch (error) {
+            throw new Error(`Failed to read local branches: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository contributors from the checked out history
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @returns {Promise<Array>} List of contributors, most commits first
+     */
+    async getRepositoryContributors(owner, repo) {
+        try {
+            const output = await this.git(path.join(owner, repo), ['shortlog', '-sne', 'HEAD']);
+            return output.split('\n').filter(Boolean).map(line => {
+                const match = line.trim().match(/^(\d+)\t(.*?)\s*<([^>]*)>$/);
+                return {
+                    login: match[2],
+                    name: match[2],
+                    email: match[3],
+                    avatar_url: null,
+                    contributions: parseInt(match[1], 10)
+                };
+            });
+        } catch (error) {
+            throw new Error(`Error reading local contributors: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a file from the working tree, as git itself does for .mailmap
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @param {string} filePath - Path from the repository root
+     * @returns {Promise<string|null>} File content, or null when the file does not exist
+     */
+    async getFileContent(owner, repo, filePath) {
+        const fullPath = path.join(owner, repo, filePath);
+        try {
+            if (!(await fs.pathExists(fullPath))) {
+                return null;
+            }
+            return await fs.readFile(fullPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Error reading local file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get repository information in the GitHub API shape
+     * @param {string} owner - Parent directory of the repository
+     * @param {string} repo - Repository directory name
+     * @returns {Promise<Object>} Repository information
+     */
+    async getRepository(owner, repo) {
+        const repoPath = path.join(owner, repo);
+        try {
+            const [branch, lastCommitDate] = await Promise.all([
+                this.git(repoPath, ['symbolic-ref', '--quiet', '--short', 'HEAD']).catch(() => 'HEAD'),
+                this.git(repoPath, ['log', '-1', '--format=%cI'])
+            ]);
+
+            return {
+                name: repo,
+                full_name: repo,
+                owner: owner,
+                private: true,
+                html_url: `file://${repoPath}`,
+                default_branch: branch.trim(),
+                updated_at: lastCommitDate.trim()
+            };
+        } catch (error) {
+            throw new Error(`Error reading local repository: ${error.message}`);
+        }
+    }
+}
+
+module.exports = LocalGitService;
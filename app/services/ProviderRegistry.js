@@ -0,0 +1,153 @@
+/**
+ * Provider Registry
+ * Picks the RepositoryProvider that serves a repository reference
+ */
+
+const GitHubService = require('./GitHubService');
+const GitLabService = require('./GitLabService');
+const GiteaService = require('./GiteaService');
+const BitbucketService = require('./BitbucketService');
+const LocalGitService = require('./LocalGitService');
+const { getReferenceHost } = require('../utils/repoReference');
+const { GITLAB_URL, GITEA_URL } = require('../config/config');
+
+// Provider names accepted where a provider is chosen explicitly
+const PROVIDERS = ['github', 'gitlab', 'gitea', 'bitbucket'];
+
+// Display names used in messages
+const PROVIDER_LABELS = {
+    github: 'GitHub',
+    gitlab: 'GitLab',
+    gitea: 'Gitea',
+    bitbucket: 'Bitbucket'
+};
+
+class ProviderRegistry {
+    /**
+     * @param {Object} options - Pre-built providers (mainly for tests)
+     * @param {GitHubService} options.github - GitHub provider
+     * @param {LocalGitService} options.local - Local git provider
+     * @param {BitbucketService} options.bitbucket - Bitbucket Cloud provider
+     */
+    constructor(options = {}) {
+        this.github = options.github || new GitHubService();
+        this.local = options.local || new LocalGitService();
+        this.bitbucket = options.bitbucket || null;
+        // GitLab and Gitea providers per host, so several self-hosted instances can be reported on
+        this.gitlab = new Map();
+        this.gitea = new Map();
+    }
+
+    /**
+     * Name the provider for a repository reference.
+     * Local paths use git on disk; GitLab, Gitea and Bitbucket hosts use their APIs;
+     * everything else (including owner/repo shorthand) uses the configured GitHub host.
+     * @param {string} repoUrl - Repository URL, shorthand or local path
+     * @returns {string} 'local', 'gitlab', 'gitea', 'bitbucket' or 'github'
+     */
+    static getProviderName(repoUrl) {
+        if (LocalGitService.isLocalPath(repoUrl)) {
+            return 'local';
+        }
+
+        const host = getReferenceHost(repoUrl);
+        if (host && GitLabService.isGitLabHost(host)) {
+            return 'gitlab';
+        }
+        if (host && GiteaService.isGiteaHost(host)) {
+            return 'gitea';
+        }
+        if (host && BitbucketService.isBitbucketHost(host)) {
+            return 'bitbucket';
+        }
+
+        return 'github';
+    }
+
+    /**
+     * Get the provider serving a repository reference
+     * @param {string} repoUrl - Repository URL, shorthand or local path
+     * @returns {RepositoryProvider} Provider
+     */
+    getProvider(repoUrl) {
+        switch (ProviderRegistry.getProviderName(repoUrl)) {
+            case 'local':
+                return this.local;
+            case 'gitlab':
+                return this.getGitLabService(getReferenceHost(repoUrl));
+            case 'gitea':
+                return this.getGiteaService(getReferenceHost(repoUrl));
+            case 'bitbucket':
+                return this.getBitbucketService();
+            default:
+                return this.github;
+        }
+    }
+
+    /**
+     * Get a provider by name, for operations without a repository (e.g. listing repositories)
+     * @param {string} name - 'github', 'gitlab', 'gitea' or 'bitbucket'
+     * @returns {RepositoryProvider} Provider
+     */
+    getProviderByName(name = 'github') {
+        if (name === 'github') {
+            return this.github;
+        }
+        if (name === 'gitlab') {
+            return this.getGitLabService();
+        }
+        if (name === 'gitea') {
+            return this.getGiteaService();
+        }
+        if (name === 'bitbucket') {
+            return this.getBitbucketService();
+        }
+        throw new Error(`Unknown provider "${name}". Use ${PROVIDERS.map(provider => `"${provider}"`).join(', ')}`);
+    }
+
+    /**
+     * Get the GitLab provider for a host
+     * @param {string} host - Lower-cased host (defaults to the GITLAB_URL host)
+     * @returns {GitLabService} Provider
+     */
+    getGitLabService(host = null) {
+        const key = host || new URL(GITLAB_URL).host.toLowerCase();
+        if (!this.gitlab.has(key)) {
+            this.gitlab.set(key, new GitLabService(undefined, { webUrl: GitLabService.webUrlForHost(key) }));
+        }
+        return this.gitlab.get(key);
+    }
+
+    /**
+     * Get the Gitea provider for a host
+     * @param {string} host - Lower-cased host (defaults to the GITEA_URL host)
+     * @returns {GiteaService} Provider
+     * @throws {Error} When no host is given and GITEA_URL is not set
+     */
+    getGiteaService(host = null) {
+        if (!host && !GITEA_URL) {
+            throw new Error('Set GITEA_URL to list repositories from a Gitea or Forgejo instance');
+        }
+        const key = host || new URL(GITEA_URL).host.toLowerCase();
+        if (!this.gitea.has(key)) {
+            this.gitea.set(key, new GiteaService(undefined, { webUrl: GiteaService.webUrlForHost(key) }));
+        }
+        return this.gitea.get(key);
+    }
+
+    /**
+     * Get the Bitbucket Cloud provider
+     * @returns {BitbucketService} Provider
+     */
+    getBitbucketService() {
+        if (!this.bitbucket) {
+            this.bitbucket = new BitbucketService();
+        }
+        return this.bitbucket;
+    }
+}
+
+ProviderRegistry.PROVIDERS = PROVIDERS;
+ProviderRegistry.PROVIDER_LABELS = PROVIDER_LABELS;
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,251 @@
+/**
+ * Release Notes Service
+ * Sorts commits into change types and formats them as release notes
+ */
+
+const moment = require('moment');
+const AIAnalysisService = require('./AIAnalysisService');
+
+// Sections in the order release notes list them
+const CHANGE_TYPES = [
+    { key: 'breaking', title: 'Breaking Changes', emoji: '⚠️' },
+    { key: 'features', title: 'Features', emoji: '🚀' },
+    { key: 'fixes', title: 'Fixes', emoji: '🐛' },
+    { key: 'performance', title: 'Performance', emoji: '⚡' },
+    { key: 'docs', title: 'Docs', emoji: '📝' },
+    { key: 'chores', title: 'Chores', emoji: '🧹' }
+];
+
+// Conventional commit types and the section each belongs to
+const CONVENTIONAL_TYPES = {
+    feat: 'features',
+    feature: 'features',
+    fix: 'fixes',
+    perf: 'performance',
+    docs: 'docs',
+    chore: 'chores',
+    build: 'chores',
+    ci: 'chores',
+    refactor: 'chores',
+    style: 'chores',
+    test: 'chores',
+    revert: 'chores'
+};
+
+// Output styles: Keep a Changelog markdown, or the body of a GitHub release
+const STYLES = ['keep-a-changelog', 'github'];
+
+// generateBasicAnalysis topics that mark documentation-only or housekeeping changes
+const DOC_TOPICS = ['Documentation updates'];
+const CHORE_TOPICS = ['Testing improvements', 'Dependency updates', 'Environment configuration changes'];
+// Topics that say which side of the code changed, not what kind of change it was
+const CODE_TOPICS = ['Full-stack development changes', 'Backend functionality updates', 'Frontend development changes'];
+
+class ReleaseNotesService {
+    constructor(aiAnalysisService = new AIAnalysisService()) {
+        this.aiAnalysisService = aiAnalysisService;
+    }
+
+    /**
+     * Parse a conventional commit message ("feat(cart)!: add coupons")
+     * @param {string} message - Commit message
+     * @returns {Object|null} { type, scope, breaking, description }, or null for other messages
+     */
+    parseConventionalCommit(message) {
+        const [subject, ...body] = (message || '').split('\n');
+        const match = subject.trim().match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            type: match[1].toLowerCase(),
+            scope: match[2] || null,
+            breaking: !!match[3] || body.some(line => /^BREAKING[ -]CHANGE:/.test(line.trim())),
+            description: match[4].trim()
+        };
+    }
+
+    /**
+     * Pick a change type from the generateBasicAnalysis heuristics and the commit subject
+     * @param {Object} commit - Commit data
+     * @returns {string} Change type key
+     */
+    classifyByHeuristics(commit) {
+        const subject = commit.message.split('\n')[0].toLowerCase();
+        if (/\bbreaking\b/.test(subject)) {
+            return 'breaking';
+        }
+        if (/\b(fix|fixes|fixed|bug|bugfix|hotfix)\b/.test(subject)) {
+            return 'fixes';
+        }
+        if (/\b(perf|performance|faster|speed up|optimi[sz]e[sd]?)\b/.test(subject)) {
+            return 'performance';
+        }
+
+        const topics = this.aiAnalysisService.generateBasicAnalysis(commit)
+            .split('\n')
+            .filter(line => line.startsWith('* '))
+            .map(line => line.slice(2));
+        const specific = topics.filter(topic => !CODE_TOPICS.includes(topic) && topic !== 'General code changes and improvements');
+
+        if (specific.length > 0 && specific.every(topic => DOC_TOPICS.includes(topic))) {
+            return 'docs';
+        }
+        if (specific.length > 0 && specific.every(topic => CHORE_TOPICS.includes(topic) || DOC_TOPICS.includes(topic))) {
+            return 'chores';
+        }
+        return specific.length > 0 || topics.some(topic => CODE_TOPICS.includes(topic)) ? 'features' : 'chores';
+    }
+
+    /**
+     * Classify a commit: conventional commit prefix first, then AI, then heuristics
+     * @param {Object} commit - Commit data
+     * @param {boolean} useAI - Whether to ask AIAnalysisService for non-conventional messages
+     * @returns {Promise<Object>} { type, scope, description }
+     */
+    async classifyCommit(commit, useAI = false) {
+        const conventional = this.parseConventionalCommit(commit.message);
+        if (conventional && (conventional.breaking || CONVENTIONAL_TYPES[conventional.type])) {
+            return {
+                type: conventional.breaking ? 'breaking' : CONVENTIONAL_TYPES[conventional.type],
+                scope: conventional.scope,
+                description: conventional.description
+            };
+        }
+
+        const description = commit.message.split('\n')[0].trim();
+        const aiType = useAI ? await this.aiAnalysisService.classifyCommit(commit, CHANGE_TYPES.map(type => type.key)) : null;
+        return {
+            type: aiType || this.classifyByHeuristics(commit),
+            scope: null,
+            description
+        };
+    }
+
+    /**
+     * Group commits by change type, leaving out merge commits
+     * @param {Array} commits - Commits, newest first
+     * @param {boolean} useAI - Whether to use AI for non-conventional messages
+     * @returns {Promise<Object>} Change type key -> entries ({ description, scope, sha, author })
+     */
+    async groupCommits(commits, useAI = false) {
+        const groups = Object.fromEntries(CHANGE_TYPES.map(type => [type.key, []]));
+
+        for (const commit of commits) {
+            // Merge commits repeat the changes of the commits they bring in
+            if (/^Merge (pull request|branch|remote-tracking branch) /.test(commit.message)) {
+                continue;
+            }
+            const { type, scope, description } = await this.classifyCommit(commit, useAI);
+            groups[type].push({
+                description,
+                scope,
+                sha: commit.sha,
+                author: commit.author.name
+            });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Format grouped changes as a Keep a Changelog release section
+     * @param {Object} groups - Grouped changes from groupCommits
+     * @param {Object} release - { version, date, compareUrl }; a null date gives an undated heading, as for [Unreleased]
+     * @returns {string} Markdown section, ending with the version's link reference when there is a compare URL
+     */
+    formatKeepAChangelog(groups, { version, date, compareUrl = null }) {
+        let notes = date ? `## [${version}] - ${date}\n\n` : `## [${version}]\n\n`;
+
+        for (const type of CHANGE_TYPES) {
+            if (groups[type.key].length === 0) {
+                continue;
+            }
+            notes += `### ${type.title}\n\n`;
+            groups[type.key].forEach(entry => {
+                notes += `- ${this.formatEntryText(entry)} (${entry.sha.substring(0, 7)})\n`;
+            });
+            notes += '\n';
+        }
+
+        if (compareUrl) {
+            notes += this.formatLinkReference(version, compareUrl);
+        }
+        return notes;
+    }
+
+    /**
+     * Format the Keep a Changelog link reference that makes a version heading a link
+     * @param {string} version - Version label
+     * @param {string} compareUrl - Compare URL
+     * @returns {string} e.g. "[v1.5.0]: https://github.com/o/r/compare/v1.4.0...v1.5.0\n"
+     */
+    formatLinkReference(version, compareUrl) {
+        return `[${version}]: ${compareUrl}\n`;
+    }
+
+    /**
+     * Format grouped changes as a GitHub release body
+     * @param {Object} groups - Grouped changes from groupCommits
+     * @param {Object} release - { compareUrl }
+     * @returns {string} Markdown release body
+     */
+    formatGitHubRelease(groups, { compareUrl = null }) {
+        let notes = "## What's Changed\n\n";
+
+        for (const type of CHANGE_TYPES) {
+            if (groups[type.key].length === 0) {
+                continue;
+            }
+            notes += `### ${type.emoji} ${type.title}\n\n`;
+            groups[type.key].forEach(entry => {
+                notes += `- ${this.formatEntryText(entry)} by ${entry.author} in ${entry.sha}\n`;
+            });
+            notes += '\n';
+        }
+
+        if (compareUrl) {
+            notes += `**Full Changelog**: ${compareUrl}\n`;
+        }
+        return notes;
+    }
+
+    /**
+     * Format release notes in the given style
+     * @param {Object} groups - Grouped changes from groupCommits
+     * @param {string} style - 'keep-a-changelog' or 'github'
+     * @param {Object} release - { version, date, compareUrl }
+     * @returns {string} Release notes
+     */
+    formatReleaseNotes(groups, style, release) {
+        if (!STYLES.includes(style)) {
+            throw new Error(`Unknown release notes style "${style}". Use ${STYLES.map(name => `"${name}"`).join(' or ')}`);
+        }
+        return style === 'github' ? this.formatGitHubRelease(groups, release) : this.formatKeepAChangelog(groups, release);
+    }
+
+    /**
+     * Format one change, with its scope in bold when it has one
+     * @param {Object} entry - Change entry
+     * @returns {string} e.g. "**cart:** add coupons"
+     */
+    formatEntryText(entry) {
+        return entry.scope ? `**${entry.scope}:** ${entry.description}` : entry.description;
+    }
+
+    /**
+     * Pick the release date shown for a set of commits: the newest commit's date
+     * @param {Array} commits - Commits
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    getReleaseDate(commits) {
+        const times = commits.map(commit => moment(commit.committer.date || commit.author.date).valueOf());
+        return moment(times.length > 0 ? Math.max(...times) : undefined).format('YYYY-MM-DD');
+    }
+}
+
+ReleaseNotesService.CHANGE_TYPES = CHANGE_TYPES;
+ReleaseNotesService.STYLES = STYLES;
+
+module.exports = ReleaseNotesService;
@@ -9,6 +9,7 @@ const moment = require('moment');
 const Commit = require('../models/Commit');
 const Report = require('../models/Report');
 const Repository = require('../models/Repository');
+const { extractIssueReferences } = require('../utils/issueReferences');
 
 class ReportService {
     constructor() {
@@ -27,24 +28,36 @@ class ReportService {
         }
     }
 
+    /**
+     * Format the heading of a commit report, followed by the filters applied
+     * @param {string} dateRange - Date range string
+     * @param {string} format - Output format ('markdown' or 'text')
+     * @param {Array} filters - Filter descriptions
+     * @returns {string} Heading
+     */
+    formatReportHeading(dateRange, format = 'text', filters = []) {
+        if (format === 'markdown') {
+            const filterLine = filters.length > 0 ? `**Filters:** ${filters.join('; ')}\n\n` : '';
+            return `# Hey, on ${dateRange} you did these changes:\n\n${filterLine}`;
+        }
+        const filterLine = filters.length > 0 ? `Filters: ${filters.join('; ')}\n\n` : '';
+        return `Hey, on ${dateRange} you did these changes:\n\n${filterLine}`;
+    }
+
     /**
      * Generate a quick report
      * @param {Array} commits - Array of commit data
      * @param {string} dateRange - Date range string
      * @param {string} format - Output format ('markdown' or 'text')
+     * @param {Array} filters - Descriptions of the commit filters applied, listed under the heading
      * @returns {string} Generated report
      */
-    generateQuickReport(commits, dateRange, format = 'text') {
+    generateQuickReport(commits, dateRange, format = 'text', filters = []) {
         if (!commits || commits.length === 0) {
             return `No commits found for ${dateRange}`;
         }
 
-        let report;
-        if (format === 'markdown') {
-            report = `# Hey, on ${dateRange} you did these changes:\n\n`;
-        } else {
-            report = `Hey, on ${dateRange} you did these changes:\n\n`;
-        }
+        let report = this.formatReportHeading(dateRange, format, filters);
 
         for (let i = 0; i < commits.length; i++) {
             const commit = new Commit(commits[i]);
@@ -67,6 +80,15 @@ class ReportService {
                 report += `Author: ${author} | Time: ${timeStr}\n`;
             }
 
+            // Branches (only known when several branches were read)
+            if (commit.branches.length > 0) {
+                if (format === 'markdown') {
+                    report += `**Branches:** ${commit.branches.join(', ')}\n\n`;
+                } else {
+                    report += `Branches: ${commit.branches.join(', ')}\n`;
+                }
+            }
+
             // Statistics
             const stats = commit.stats;
             if (format === 'markdown') {
@@ -96,6 +118,13 @@ class ReportService {
                 }
 
                 report += '\n';
+            } else if (commit.changedFiles > 0) {
+                // Per-file details were not loaded, only the count is known
+                if (format === 'markdown') {
+                    report += `**Changed Files:** ${commit.changedFiles}\n\n`;
+                } else {
+                    report += `Changed Files: ${commit.changedFiles}\n\n`;
+                }
             }
 
             if (format === 'text') {
@@ -114,19 +143,15 @@ class ReportService {
      * @param {string} dateRange - Date range string
      * @param {string} format - Output format ('markdown' or 'text')
      * @param {Function} aiAnalyzer - AI analysis function
+     * @param {Array} filters - Descriptions of the commit filters applied, listed under the heading
      * @returns {Promise<string>} Generated report
      */
-    async generateEnhancedReport(commits, dateRange, format = 'text', aiAnalyzer = null) {
+    async generateEnhancedReport(commits, dateRange, format = 'text', aiAnalyzer = null, filters = []) {
         if (!commits || commits.length === 0) {
             return `No commits found for ${dateRange}`;
         }
 
-        let report;
-        if (format === 'markdown') {
-            report = `# Hey, on ${dateRange} you did these changes:\n\n`;
-        } else {
-            report = `Hey, on ${dateRange} you did these changes:\n\n`;
-        }
+        let report = this.formatReportHeading(dateRange, format, filters);
 
         for (let i = 0; i < commits.length; i++) {
             const commit = new Commit(commits[i]);
@@ -149,6 +174,15 @@ class ReportService {
                 report += `Author: ${author} | Time: ${timeStr}\n`;
             }
 
+            // Branches (only known when several branches were read)
+            if (commit.branches.length > 0) {
+                if (format === 'markdown') {
+                    report += `**Branches:** ${commit.branches.join(', ')}\n\n`;
+                } else {
+                    report += `Branches: ${commit.branches.join(', ')}\n`;
+                }
+            }
+
             // Statistics
             const stats = commit.stats;
             if (format === 'markdown') {
@@ -192,6 +226,13 @@ class ReportService {
                 }
 
                 report += '\n';
+            } else if (commit.changedFiles > 0) {
+                // Per-file details were not loaded, only the count is known
+                if (format === 'markdown') {
+                    report += `**Changed Files:** ${commit.changedFiles}\n\n`;
+                } else {
+                    report += `Changed Files: ${commit.changedFiles}\n\n`;
+                }
             }
 
             if (format === 'text') {
@@ -204,6 +245,323 @@ class ReportService {
         return report;
     }
 
+    /**
+     * Generate a report grouping commits under the pull requests they were merged through.
+     * Commits without a pull request are listed under "Direct pushes".
+     * @param {Array} commits - Array of commit data
+     * @param {Map} pullRequests - SHA -> pull request summary
+     * @param {string} dateRange - Date range string
+     * @param {string} format - Output format ('markdown' or 'text')
+     * @param {Array} filters - Descriptions of the commit filters applied, listed under the heading
+     * @returns {string} Generated report
+     */
+    generatePullRequestReport(commits, pullRequests, dateRange, format = 'text', filters = []) {
+        if (!commits || commits.length === 0) {
+            return `No commits found for ${dateRange}`;
+        }
+
+        const groups = new Map();
+        const directPushes = [];
+        commits.forEach(commitData => {
+            const commit = new Commit(commitData);
+            const pullRequest = pullRequests.get(commit.sha);
+            if (!pullRequest) {
+                directPushes.push(commit);
+                return;
+            }
+            if (!groups.has(pullRequest.number)) {
+                groups.set(pullRequest.number, { pullRequest, commits: [] });
+            }
+            groups.get(pullRequest.number).commits.push(commit);
+        });
+
+        // Most recently merged first; open or closed PRs after merged ones
+        const sortedGroups = [...groups.values()].sort((a, b) => {
+            const aMerged = a.pullRequest.mergedAt ? moment(a.pullRequest.mergedAt).valueOf() : 0;
+            const bMerged = b.pullRequest.mergedAt ? moment(b.pullRequest.mergedAt).valueOf() : 0;
+            return bMerged - aMerged;
+        });
+
+        let report = this.formatReportHeading(dateRange, format, filters);
+
+        for (const { pullRequest, commits: prCommits } of sortedGroups) {
+            const [statusLabel, statusValue] = pullRequest.mergedAt
+                ? ['Merged', moment(pullRequest.mergedAt).format('YYYY-MM-DD HH:mm')]
+                : ['State', pullRequest.state];
+            const labels = pullRequest.labels.length > 0 ? pullRequest.labels.join(', ') : 'none';
+            const reviewers = pullRequest.reviewers.length > 0 ? pullRequest.reviewers.join(', ') : 'none';
+
+            if (format === 'markdown') {
+                report += `## PR #${pullRequest.number}: ${pullRequest.title}\n\n`;
+                report += `**${statusLabel}:** ${statusValue} | **Labels:** ${labels} | **Reviewers:** ${reviewers}\n\n`;
+                report += `**Link:** ${pullRequest.url}\n\n`;
+            } else {
+                report += `PR #${pullRequest.number}: ${pullRequest.title}\n`;
+                report += `${statusLabel}: ${statusValue} | Labels: ${labels} | Reviewers: ${reviewers}\n`;
+                report += `Link: ${pullRequest.url}\n`;
+            }
+
+            report += this.formatCommitList(prCommits, format);
+            report += format === 'text' ? '-'.repeat(50) + '\n\n' : '---\n\n';
+        }
+
+        if (directPushes.length > 0) {
+            if (format === 'markdown') {
+                report += '## Direct pushes\n\n';
+            } else {
+                report += 'Direct pushes\n';
+            }
+            report += this.formatCommitList(directPushes, format);
+        }
+
+        return report;
+    }
+
+    /**
+     * Format commits as a one-line-per-commit list
+     * @param {Array} commits - Commit models
+     * @param {string} format - Output format ('markdown' or 'text')
+     * @returns {string} Formatted list, followed by a blank line
+     */
+    formatCommitList(commits, format = 'text') {
+        let list = '';
+
+        for (const commit of commits) {
+            const title = commit.message.split('\n')[0].trim();
+            const shortSha = commit.sha.substring(0, 7);
+            const changes = `+${commit.stats.additions} -${commit.stats.deletions}`;
+
+            if (format === 'markdown') {
+                list += `- \`${shortSha}\` ${title} (${changes}) by ${commit.author.name} at ${commit.getFormattedDate()}\n`;
+            } else {
+                list += `  ${shortSha} ${title} (${changes}) by ${commit.author.name} at ${commit.getFormattedDate()}\n`;
+            }
+        }
+
+        return list + '\n';
+    }
+
+    /**
+     * Generate the "Issues" section of a range report: issues opened, closed or
+     * commented on in the range, each with the commits that reference it
+     * @param {Array} issues - Issues from getIssueActivity
+     * @param {Array} commits - Commits in the report
+     * @param {string} format - Output format ('markdown' or 'text')
+     * @returns {string} Issues section, or '' when there is no issue activity
+     */
+    generateIssueSection(issues, commits, format = 'text') {
+        if (!issues || issues.length === 0) {
+            return '';
+        }
+
+        const referencingCommits = new Map();
+        commits.forEach(commitData => {
+            const commit = new Commit(commitData);
+            extractIssueReferences(commit.message).forEach(({ number, closes }) => {
+                if (!referencingCommits.has(number)) {
+                    referencingCommits.set(number, []);
+                }
+                const shortSha = commit.sha.substring(0, 7);
+                const label = format === 'markdown' ? `\`${shortSha}\`` : shortSha;
+                referencingCommits.get(number).push(closes ? `${label} (closes)` : label);
+            });
+        });
+
+        let section = format === 'markdown' ? '## Issues\n\n' : 'Issues\n';
+        for (const issue of issues) {
+            const activity = [];
+            if (issue.opened) {
+                activity.push(`opened by ${issue.author}`);
+            }
+            if (issue.closed) {
+                activity.push('closed');
+            }
+            if (issue.comments > 0) {
+                activity.push(`${issue.comments} comment${issue.comments === 1 ? '' : 's'}`);
+            }
+            const linked = referencingCommits.get(issue.number);
+
+            if (format === 'markdown') {
+                section += `- **#${issue.number}** ${issue.title} (${activity.join(', ')}) - ${issue.url}\n`;
+                if (linked) {
+                    section += `  - Commits: ${linked.join(', ')}\n`;
+                }
+            } else {
+                section += `  #${issue.number} ${issue.title} (${activity.join(', ')})\n`;
+                if (linked) {
+                    section += `    Commits: ${linked.join(', ')}\n`;
+                }
+            }
+        }
+
+        return section + '\n';
+    }
+
+    /**
+     * Summarize review activity per reviewer. Reviews and comments count when they
+     * fall inside the range; a reviewer's time to first review is measured from PR
+     * creation to their first review on it. Authors replying on their own PRs are ignored.
+     * GitHub records every reply in a review thread as a body-less COMMENTED review; those
+     * count as comments only, not as reviews given.
+     * @param {Array} pullRequests - Pull requests with reviews and comments (see getReviewActivity)
+     * @param {string} since - Start of the range (ISO timestamp)
+     * @param {string} until - End of the range (ISO timestamp)
+     * @returns {Object} Totals plus a `reviewers` array, busiest reviewer first
+     */
+    getReviewStatistics(pullRequests, since, until) {
+        const inRange = date => moment(date).isBetween(since, until, null, '[]');
+        const hoursSince = (from, to) => moment(to).diff(moment(from), 'minutes') / 60;
+        const reviewers = new Map();
+        const firstReviewHours = [];
+        const reviewedPullRequests = new Set();
+
+        const getReviewer = login => {
+            if (!reviewers.has(login)) {
+                reviewers.set(login, {
+                    reviewer: login,
+                    reviews: 0,
+                    approvals: 0,
+                    changesRequested: 0,
+                    comments: 0,
+                    pullRequests: new Set(),
+                    firstReviewHours: []
+                });
+            }
+            return reviewers.get(login);
+        };
+
+        for (const pullRequest of pullRequests) {
+            const reviews = pullRequest.reviews
+                .filter(review => review.reviewer && review.reviewer !== pullRequest.author && review.submittedAt)
+                .filter(review => review.state !== 'COMMENTED' || (review.body || '').trim() !== '')
+                .sort((a, b) => moment(a.submittedAt).valueOf() - moment(b.submittedAt).valueOf());
+
+            if (reviews.length > 0 && inRange(reviews[0].submittedAt)) {
+                firstReviewHours.push(hoursSince(pullRequest.createdAt, reviews[0].submittedAt));
+            }
+
+            const seen = new Set();
+            for (const review of reviews) {
+                const isFirst = !seen.has(review.reviewer);
+                seen.add(review.reviewer);
+                if (!inRange(review.submittedAt)) {
+                    continue;
+                }
+
+                const stats = getReviewer(review.reviewer);
+                stats.reviews++;
+                stats.approvals += review.state === 'APPROVED' ? 1 : 0;
+                stats.changesRequested += review.state === 'CHANGES_REQUESTED' ? 1 : 0;
+                stats.pullRequests.add(pullRequest.number);
+                reviewedPullRequests.add(pullRequest.number);
+                if (isFirst) {
+                    stats.firstReviewHours.push(hoursSince(pullRequest.createdAt, review.submittedAt));
+                }
+            }
+
+            pullRequest.comments
+                .filter(comment => comment.reviewer && comment.reviewer !== pullRequest.author && inRange(comment.createdAt))
+                .forEach(comment => {
+                    getReviewer(comment.reviewer).comments++;
+                });
+        }
+
+        const reviewerStatistics = [...reviewers.values()]
+            .map(({ pullRequests: reviewed, firstReviewHours: hours, ...stats }) => ({
+                ...stats,
+                pullRequests: reviewed.size,
+                medianHoursToFirstReview: this.median(hours)
+            }))
+            .sort((a, b) => b.reviews - a.reviews || b.comments - a.comments || a.reviewer.localeCompare(b.reviewer));
+
+        return {
+            totalReviews: reviewerStatistics.reduce((sum, stats) => sum + stats.reviews, 0),
+            approvals: reviewerStatistics.reduce((sum, stats) => sum + stats.approvals, 0),
+            changesRequested: reviewerStatistics.reduce((sum, stats) => sum + stats.changesRequested, 0),
+            reviewComments: reviewerStatistics.reduce((sum, stats) => sum + stats.comments, 0),
+            pullRequestsReviewed: reviewedPullRequests.size,
+            medianHoursToFirstReview: this.median(firstReviewHours),
+            reviewers: reviewerStatistics
+        };
+    }
+
+    /**
+     * Generate a review activity report
+     * @param {Object} statistics - Review statistics from getReviewStatistics
+     * @param {string} dateRange - Date range string
+     * @param {string} format - Output format ('markdown' or 'text')
+     * @returns {string} Generated report
+     */
+    generateReviewReport(statistics, dateRange, format = 'text') {
+        if (statistics.reviewers.length === 0) {
+            return `No review activity found for ${dateRange}`;
+        }
+
+        const overview = [
+            ['Reviews given', `${statistics.totalReviews} (${statistics.approvals} approvals, ${statistics.changesRequested} changes requested)`],
+            ['Review comments', statistics.reviewComments],
+            ['Pull requests reviewed', statistics.pullRequestsReviewed],
+            ['Median time to first review', this.formatHours(statistics.medianHoursToFirstReview)]
+        ];
+
+        let report;
+        if (format === 'markdown') {
+            report = `# Review activity for ${dateRange}\n\n`;
+            report += overview.map(([label, value]) => `- **${label}:** ${value}\n`).join('') + '\n';
+        } else {
+            report = `Review activity for ${dateRange}\n\n`;
+            report += overview.map(([label, value]) => `${label}: ${value}\n`).join('') + '\n';
+        }
+
+        for (const stats of statistics.reviewers) {
+            const firstReview = this.formatHours(stats.medianHoursToFirstReview);
+            if (format === 'markdown') {
+                report += `## ${stats.reviewer}\n\n`;
+                report += `- **Reviews:** ${stats.reviews} | **Approvals:** ${stats.approvals} | **Changes requested:** ${stats.changesRequested} | **Comments:** ${stats.comments}\n`;
+                report += `- **PRs reviewed:** ${stats.pullRequests} | **Median time to first review:** ${firstReview}\n\n`;
+            } else {
+                report += `Reviewer: ${stats.reviewer}\n`;
+                report += `  Reviews: ${stats.reviews} | Approvals: ${stats.approvals} | Changes requested: ${stats.changesRequested} | Comments: ${stats.comments}\n`;
+                report += `  PRs reviewed: ${stats.pullRequests} | Median time to first review: ${firstReview}\n\n`;
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Get the median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number|null} Median rounded to one decimal, or null for an empty list
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        return Math.round(median * 10) / 10;
+    }
+
+    /**
+     * Format a duration in hours for reports
+     * @param {number|null} hours - Duration in hours
+     * @returns {string} e.g. "45m", "5.5h", "2.3d" or "n/a"
+     */
+    formatHours(hours) {
+        if (hours === null) {
+            return 'n/a';
+        }
+        if (hours < 1) {
+            return `${Math.round(hours * 60)}m`;
+        }
+        if (hours < 48) {
+            return `${Math.round(hours * 10) / 10}h`;
+        }
+        return `${Math.round(hours / 2.4) / 10}d`;
+    }
+
     /**
      * Generate basic analysis for a commit
      * @param {Commit} commit - Commit object
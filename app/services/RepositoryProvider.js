@@ -0,0 +1,348 @@
+/**
+ * Repository Provider
+ * Interface shared by every source of commit data (GitHub, GitLab, local git).
+ * Controllers only call these methods, so reports and statistics work on any provider.
+ *
+ * Commits are plain objects in one shape:
+ *   { sha, message, author: { name, email, date, login? }, committer: { name, email, date }, parents: [sha],
+ *     files: [{ filename, status, additions, deletions, changes }],
+ *     stats: { total, additions, deletions } }
+ * Commits read from several branches also carry `branches` (the branch names they were found on).
+ */
+
+const { matchesAnyGlob } = require('../utils/glob');
+
+// Branch names shown when a requested branch does not exist
+const MAX_LISTED_BRANCHES = 20;
+
+class RepositoryProvider {
+    constructor() {
+        // Default branch lookups per owner/repo
+        this.defaultBranches = new Map();
+    }
+
+    /**
+     * Extract owner, repository name and an optional ref from a repository reference
+     * @param {string} repoUrl - Repository URL
+     * @returns {Object} - {owner, repo, ref}
+     */
+    extractRepoInfo(repoUrl) {
+        throw this.notImplemented('extractRepoInfo');
+    }
+
+    /**
+     * Get repositories the configured credentials can access
+     * @param {Object} options - Options for fetching repositories
+     * @returns {Promise<Array>} List of repositories in the GitHub API shape
+     */
+    async getUserRepositories(options = {}) {
+        throw this.notImplemented('getUserRepositories');
+    }
+
+    /**
+     * Get repository information
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Object>} Repository information in the GitHub API shape
+     */
+    async getRepository(owner, repo) {
+        throw this.notImplemented('getRepository');
+    }
+
+    /**
+     * Get repository branches
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} List of branches ({ name, protected })
+     */
+    async getRepositoryBranches(owner, repo) {
+        throw this.notImplemented('getRepositoryBranches');
+    }
+
+    /**
+     * Get commits for a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Options (branch, since, until, author, paths, concurrency, includeFiles).
+     *   paths (path globs) only narrows the listing where the provider can; callers filter the files themselves.
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async getCommits(owner, repo, options = {}) {
+        throw this.notImplemented('getCommits');
+    }
+
+    /**
+     * Get commits for a specific date range
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} fromDate - Start date
+     * @param {string} toDate - End date
+     * @param {string} branch - Branch name (defaults to the repository's default branch)
+     * @param {string} author - Author/committer filter (optional)
+     * @param {Object} fetchOptions - Extra fetch options (e.g. concurrency; branches to read several branches)
+     * @returns {Promise<Array>} List of commits
+     */
+    async getCommitsForDateRange(owner, repo, fromDate, toDate, branch = null, author = null, fetchOptions = {}) {
+        const { branches, ...rest } = fetchOptions;
+        const options = {
+            ...rest,
+            since: fromDate,
+            until: toDate,
+            branch
+        };
+
+        // Add author filter if specified
+        if (author) {
+            options.author = author;
+        }
+
+        if (branches) {
+            return await this.getCommitsForBranches(owner, repo, branches, options);
+        }
+
+        return await this.getCommits(owner, repo, options);
+    }
+
+    /**
+     * Get commits from every branch matching the given globs. Commits reachable
+     * from several branches are returned once, with all of those branch names.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array} patterns - Branch name globs (`**` matches every branch)
+     * @param {Object} options - Options passed to getCommits for each branch
+     * @returns {Promise<Array>} List of commits with a `branches` array, newest first
+     */
+    async getCommitsForBranches(owner, repo, patterns, options = {}) {
+        const branchNames = (await this.getRepositoryBranches(owner, repo))
+            .map(branch => branch.name)
+            .filter(name => matchesAnyGlob(name, patterns));
+
+        if (branchNames.length === 0) {
+            throw new Error(`No branches match ${patterns.join(', ')}`);
+        }
+
+        const commitsBySha = new Map();
+        // One branch at a time; getCommits already runs its detail requests in parallel
+        for (const name of branchNames) {
+            const commits = await this.getCommits(owner, repo, { ...options, branch: name });
+            for (const commit of commits) {
+                if (commitsBySha.has(commit.sha)) {
+                    commitsBySha.get(commit.sha).branches.push(name);
+                } else {
+                    commitsBySha.set(commit.sha, { ...commit, branches: [name] });
+                }
+            }
+        }
+
+        return [...commitsBySha.values()].sort((a, b) => new Date(b.committer.date) - new Date(a.committer.date));
+    }
+
+    /**
+     * Get commits for a specific date
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} date - Target date
+     * @param {string} branch - Branch name (defaults to the repository's default branch)
+     * @param {string} author - Author/committer filter (optional)
+     * @param {Object} fetchOptions - Extra fetch options (e.g. concurrency)
+     * @returns {Promise<Array>} List of commits
+     */
+    async getCommitsForDate(owner, repo, date, branch = null, author = null, fetchOptions = {}) {
+        const moment = require('moment');
+        const fromDate = date;
+        const toDate = moment(date).add(1, 'day').format('YYYY-MM-DD');
+
+        return await this.getCommitsForDateRange(owner, repo, fromDate, toDate, branch, author, fetchOptions);
+    }
+
+    /**
+     * Get the repository's default branch, looked up once per repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<string>} Default branch name
+     */
+    async getDefaultBranch(owner, repo) {
+        const key = `${owner}/${repo}`;
+        if (!this.defaultBranches.has(key)) {
+            const lookup = this.getRepository(owner, repo).then(repository => repository.default_branch || 'main');
+            // Keep the promise so parallel callers share one request; forget failures so they can be retried
+            this.defaultBranches.set(key, lookup);
+            lookup.catch(() => this.defaultBranches.delete(key));
+        }
+        return await this.defaultBranches.get(key);
+    }
+
+    /**
+     * Check that a branch exists, for explaining empty or failed commit listings.
+     * Commit SHAs and HEAD are not checked.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Branch name
+     * @returns {Promise<Error|null>} Error listing the available branches, or null if the branch exists or cannot be checked
+     */
+    async getMissingBranchError(owner, repo, branch) {
+        if (!branch || branch === 'HEAD' || /^[0-9a-f]{7,40}$/i.test(branch)) {
+            return null;
+        }
+
+        let names;
+        try {
+            names = (await this.getRepositoryBranches(owner, repo)).map(candidate => candidate.name);
+        } catch (error) {
+            return null;
+        }
+        if (names.includes(branch)) {
+            return null;
+        }
+
+        const shown = names.slice(0, MAX_LISTED_BRANCHES).join(', ');
+        const more = names.length > MAX_LISTED_BRANCHES ? ` and ${names.length - MAX_LISTED_BRANCHES} more` : '';
+        return new Error(`Branch "${branch}" not found. Available branches: ${shown || 'none'}${more}`);
+    }
+
+    /**
+     * Get detailed information about a specific commit, including files
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} Detailed commit information
+     */
+    async getCommitDetails(owner, repo, sha) {
+        throw this.notImplemented('getCommitDetails');
+    }
+
+    /**
+     * Get commit diff/patch
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} sha - Commit SHA
+     * @returns {Promise<Object>} { sha, diff, files }
+     */
+    async getCommitDiff(owner, repo, sha) {
+        throw this.notImplemented('getCommitDiff');
+    }
+
+    /**
+     * Get the commits reachable from head but not from base
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} base - Base tag, branch or SHA
+     * @param {string} head - Head tag, branch or SHA
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Array>} List of commits, newest first
+     */
+    async compareCommits(owner, repo, base, head, options = {}) {
+        throw this.notImplemented('compareCommits');
+    }
+
+    /**
+     * Get the repository's tag names
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} Tag names
+     */
+    async getTags(owner, repo) {
+        throw this.notImplemented('getTags');
+    }
+
+    /**
+     * Build the web URL showing the changes between two refs
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} base - Base ref
+     * @param {string} head - Head ref
+     * @returns {string|null} Compare URL, or null when the provider has no compare page
+     */
+    getCompareUrl(owner, repo, base, head) {
+        return null;
+    }
+
+    /**
+     * Map commits to the pull requests they were merged through
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array} shas - Commit SHAs
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Map>} SHA -> pull request summary ({ number, title, url, author, labels, reviewers, state, mergedAt })
+     */
+    async getPullRequestsForCommits(owner, repo, shas, options = {}) {
+        throw this.notImplemented('getPullRequestsForCommits');
+    }
+
+    /**
+     * Get the review activity on pull requests updated within a date range
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} since - Start date (ISO format)
+     * @param {string} until - End date (ISO format)
+     * @param {Object} options - Options (concurrency)
+     * @returns {Promise<Array>} Pull requests ({ number, title, url, author, createdAt, reviews: [{ reviewer, state, body, submittedAt }], comments: [{ reviewer, createdAt }] })
+     */
+    async getReviewActivity(owner, repo, since, until, options = {}) {
+        throw this.notImplemented('getReviewActivity');
+    }
+
+    /**
+     * Get the issues opened, closed or commented on within a date range
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} since - Start date (ISO format)
+     * @param {string} until - End date (ISO format)
+     * @returns {Promise<Array>} Issues ({ number, title, url, state, author, createdAt, closedAt, opened, closed, comments })
+     */
+    async getIssueActivity(owner, repo, since, until) {
+        throw this.notImplemented('getIssueActivity');
+    }
+
+    /**
+     * Read a file from the repository, e.g. its .mailmap
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} filePath - Path from the repository root
+     * @param {string} ref - Branch, tag or SHA (optional; defaults to the default branch)
+     * @returns {Promise<string|null>} File content, or null when the file does not exist
+     */
+    async getFileContent(owner, repo, filePath, ref = null) {
+        throw this.notImplemented('getFileContent');
+    }
+
+    /**
+     * Get repository contributors
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Array>} List of contributors ({ login, name, email, avatar_url, contributions })
+     */
+    async getRepositoryContributors(owner, repo) {
+        throw this.notImplemented('getRepositoryContributors');
+    }
+
+    /**
+     * Get the members of an organization team
+     * @param {string} org - Organization
+     * @param {string} teamSlug - Team slug
+     * @returns {Promise<Array>} Member logins
+     */
+    async getTeamMembers(org, teamSlug) {
+        throw this.notImplemented('getTeamMembers');
+    }
+
+    /**
+     * Check whether this provider implements an optional operation
+     * @param {string} method - Method name, e.g. 'getIssueActivity'
+     * @returns {boolean} True when a subclass overrides the method
+     */
+    supports(method) {
+        return typeof this[method] === 'function' && this[method] !== RepositoryProvider.prototype[method];
+    }
+
+    /**
+     * Build the error thrown by unsupported operations
+     * @param {string} method - Method name
+     * @returns {Error} Error
+     */
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not support ${method}`);
+    }
+}
+
+module.exports = RepositoryProvider;
@@ -0,0 +1,108 @@
+/**
+ * REST Provider
+ * Request and retry handling shared by providers backed by a forge's REST API
+ */
+
+const axios = require('axios');
+const moment = require('moment');
+const { GITHUB_CONCURRENCY, GITHUB_MAX_RETRIES, GITHUB_MAX_RETRY_WAIT } = require('../config/config');
+const RepositoryProvider = require('./RepositoryProvider');
+const RateLimitError = require('../errors/RateLimitError');
+const { TRANSIENT_ERROR_CODES, sleep, backoffDelay } = require('../utils/retry');
+
+class RestProvider extends RepositoryProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.providerName - Name used in messages, e.g. GitLab
+     * @param {Object} options.headers - Headers sent with every request (authentication)
+     * @param {number} options.concurrency - Maximum parallel per-commit requests
+     * @param {number} options.maxRetries - Retries for transient failures and rate limits
+     * @param {number} options.maxRetryWait - Longest rate limit wait (seconds) before giving up
+     */
+    constructor(options = {}) {
+        super();
+        this.providerName = options.providerName;
+        this.headers = options.headers || {};
+        this.concurrency = options.concurrency || GITHUB_CONCURRENCY;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : GITHUB_MAX_RETRIES;
+        this.maxRetryWait = options.maxRetryWait !== undefined ? options.maxRetryWait : GITHUB_MAX_RETRY_WAIT;
+    }
+
+    /**
+     * Send an API request, retrying transient failures and rate limits
+     * @param {Object} config - Axios request config (url, params, headers, ...)
+     * @returns {Promise<Object>} Axios response
+     * @throws {RateLimitError} When the rate limit wait is too long
+     */
+    async request(config) {
+        const requestConfig = {
+            method: 'get',
+            ...config,
+            headers: {
+                ...this.headers,
+                ...config.headers
+            }
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await axios.request(requestConfig);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    throw error;
+                }
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Decide whether a failed request should be retried
+     * @param {Error} error - Axios error
+     * @param {number} attempt - Zero-based attempt number that failed
+     * @returns {number|null} Delay in milliseconds before retrying, or null to give up
+     * @throws {RateLimitError} When rate limited and out of retries or the wait is too long
+     */
+    getRetryDelay(error, attempt) {
+        const response = error.response;
+        const canRetry = attempt < this.maxRetries;
+
+        if (!response) {
+            return canRetry && TRANSIENT_ERROR_CODES.includes(error.code) ? backoffDelay(attempt) : null;
+        }
+
+        if (response.status === 429) {
+            const headers = response.headers || {};
+            const retryAfter = parseInt(headers['retry-after'], 10);
+            const reset = parseInt(headers['ratelimit-reset'] || headers['x-ratelimit-reset'], 10);
+            let delay = backoffDelay(attempt, 60000, 60000);
+            if (!isNaN(retryAfter)) {
+                delay = retryAfter * 1000;
+            } else if (!isNaN(reset)) {
+                delay = Math.max(reset * 1000 - Date.now(), 0);
+            }
+
+            if (!canRetry || delay > this.maxRetryWait * 1000) {
+                const resetAt = new Date(Date.now() + delay);
+                throw new RateLimitError(
+                    `${this.providerName} API rate limit exceeded, resumes at ${moment(resetAt).format('HH:mm')}`,
+                    {
+                        resetAt,
+                        limit: parseInt(headers['ratelimit-limit'] || headers['x-ratelimit-limit'], 10) || null,
+                        remaining: 0
+                    }
+                );
+            }
+            return delay;
+        }
+
+        if (response.status >= 500 && canRetry) {
+            return backoffDelay(attempt);
+        }
+
+        return null;
+    }
+}
+
+module.exports = RestProvider;
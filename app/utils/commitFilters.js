@@ -0,0 +1,209 @@
+/**
+ * Commit Filters
+ * Leave bot and merge commits out of reports, and count only the files that matter
+ */
+
+const Commit = require('../models/Commit');
+const { matchesAnyGlob } = require('./glob');
+const {
+    REPORT_EXCLUDE_BOTS,
+    REPORT_EXCLUDE_MERGES,
+    REPORT_INCLUDE_PATHS,
+    REPORT_EXCLUDE_PATHS
+} = require('../config/config');
+
+// Bot accounts: "dependabot[bot]", "renovate-bot", "Renovate Bot <bot@renovateapp.com>", "github-actions"
+const BOT_NAME = /(\[bot\]|-bot|\bbot)$|^(dependabot|renovate|greenkeeper|github-actions|snyk-bot|pre-commit-ci|mergify)\b/i;
+
+// Glob characters; a path segment containing one cannot be passed to a provider as a literal path
+const GLOB_CHARS = /[*?[]/;
+
+// Merge commit subjects written by GitHub and git, used when parents are unknown
+const MERGE_MESSAGE = /^Merge (pull request|branch|remote-tracking branch|tag) /;
+
+/**
+ * Fill in unset filters from the configured defaults. The path scope (paths) has no default.
+ * @param {Object} filters - excludeBots, excludeMerges, paths, includePaths and excludePaths (each optional)
+ * @returns {Object} Complete filters
+ */
+function resolveCommitFilters(filters = {}) {
+    return {
+        excludeBots: filters.excludeBots !== undefined ? !!filters.excludeBots : REPORT_EXCLUDE_BOTS,
+        excludeMerges: filters.excludeMerges !== undefined ? !!filters.excludeMerges : REPORT_EXCLUDE_MERGES,
+        paths: filters.paths || [],
+        includePaths: filters.includePaths || REPORT_INCLUDE_PATHS,
+        excludePaths: filters.excludePaths || REPORT_EXCLUDE_PATHS
+    };
+}
+
+/**
+ * Check whether a commit was authored by a bot
+ * @param {Object} commit - Commit data
+ * @returns {boolean} True for bot accounts
+ */
+function isBotCommit(commit) {
+    const { name = '', email = '', login = '' } = commit.author || {};
+    return [name, login, email.split('@')[0]].some(value => value && BOT_NAME.test(value.trim()));
+}
+
+/**
+ * Check whether a commit is a merge commit: more than one parent, or a merge subject when parents are unknown
+ * @param {Object} commit - Commit data
+ * @returns {boolean} True for merge commits
+ */
+function isMergeCommit(commit) {
+    if (Array.isArray(commit.parents)) {
+        return commit.parents.length > 1;
+    }
+    return MERGE_MESSAGE.test(commit.message || '');
+}
+
+/**
+ * Make a path glob match the way .gitignore patterns do: "dist/" is a directory
+ * anywhere, "packages/web" is that file or directory, and a pattern without a
+ * slash matches a file or directory name at any depth
+ * @param {string} pattern - Path glob
+ * @returns {Array} Globs for matchesAnyGlob
+ */
+function toPathGlobs(pattern) {
+    let glob = pattern.replace(/\/$/, '');
+    if (!glob.includes('/')) {
+        glob = `**/${glob}`;
+    }
+    if (glob.endsWith('**')) {
+        return [glob];
+    }
+    return pattern.endsWith('/') ? [`${glob}/**`] : [glob, `${glob}/**`];
+}
+
+/**
+ * Check whether a file matches any of the path patterns
+ * @param {string} filename - File path
+ * @param {Array} patterns - Paths or globs
+ * @returns {boolean} True on a match
+ */
+function matchesAnyPath(filename, patterns) {
+    return matchesAnyGlob(filename, patterns.flatMap(toPathGlobs));
+}
+
+/**
+ * Get the directory all path patterns lie under, for providers that list the commits of one path
+ * @param {Array} patterns - Paths or globs, e.g. ["packages/web/**", "packages/api/src/"]
+ * @returns {string|null} Literal path, e.g. "packages"; null when the patterns share none
+ */
+function getCommonPathPrefix(patterns = []) {
+    const prefixes = patterns.map(pattern => {
+        const segments = pattern.replace(/\/$/, '').split('/');
+        // A pattern without a slash matches at any depth
+        if (segments.length === 1) {
+            return [];
+        }
+        const globIndex = segments.findIndex(segment => GLOB_CHARS.test(segment));
+        return globIndex === -1 ? segments : segments.slice(0, globIndex);
+    });
+    if (prefixes.length === 0) {
+        return null;
+    }
+
+    const common = [];
+    for (let i = 0; prefixes.every(segments => i < segments.length && segments[i] === prefixes[0][i]); i++) {
+        common.push(prefixes[0][i]);
+    }
+    return common.length > 0 ? common.join('/') : null;
+}
+
+/**
+ * Check whether a file passes the path filters
+ * @param {string} filename - File path
+ * @param {Object} filters - Resolved filters
+ * @returns {boolean} True when the file counts
+ */
+function isPathIncluded(filename, filters) {
+    const inScope = filters.paths.length === 0 || matchesAnyPath(filename, filters.paths);
+    const included = filters.includePaths.length === 0 || matchesAnyPath(filename, filters.includePaths);
+    return inScope && included && !matchesAnyPath(filename, filters.excludePaths);
+}
+
+/**
+ * Check whether the filters look at file paths, which needs each commit's file list
+ * @param {Object} filters - Resolved filters
+ * @returns {boolean} True when a path scope, include or exclude pattern is set
+ */
+function hasPathFilters(filters) {
+    return filters.paths.length > 0 || filters.includePaths.length > 0 || filters.excludePaths.length > 0;
+}
+
+/**
+ * Apply the filters to commits. Path filters drop files from each commit and
+ * recount its lines; commits left without any file are dropped. Commits whose
+ * files were not loaded keep their totals.
+ * @param {Array} commits - Commits (models or plain commit data)
+ * @param {Object} filters - Resolved filters (see resolveCommitFilters)
+ * @returns {Array} Remaining commits, as models
+ */
+function applyCommitFilters(commits, filters) {
+    const filterPaths = hasPathFilters(filters);
+
+    return commits
+        .map(commit => (commit instanceof Commit ? commit : new Commit(commit)))
+        .filter(commit => !(filters.excludeBots && isBotCommit(commit)) && !(filters.excludeMerges && isMergeCommit(commit)))
+        .map(commit => {
+            if (!filterPaths || commit.files.length === 0) {
+                return commit;
+            }
+
+            const files = commit.files.filter(file => isPathIncluded(file.filename, filters));
+            if (files.length === 0) {
+                return null;
+            }
+            if (files.length === commit.files.length) {
+                return commit;
+            }
+            const additions = files.reduce((sum, file) => sum + (file.additions || 0), 0);
+            const deletions = files.reduce((sum, file) => sum + (file.deletions || 0), 0);
+            return new Commit({
+                ...commit.toJSON(),
+                files,
+                changedFiles: files.length,
+                stats: { total: additions + deletions, additions, deletions }
+            });
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Describe the filters in effect, for report headers and summaries
+ * @param {Object} filters - Resolved filters
+ * @returns {Array} Descriptions, e.g. ["bots excluded", "paths excluded: dist/"]; empty when nothing is filtered
+ */
+function describeCommitFilters(filters) {
+    const descriptions = [];
+    if (filters.excludeBots) {
+        descriptions.push('bots excluded');
+    }
+    if (filters.excludeMerges) {
+        descriptions.push('merge commits excluded');
+    }
+    if (filters.paths.length > 0) {
+        descriptions.push(`scoped to: ${filters.paths.join(', ')}`);
+    }
+    if (filters.includePaths.length > 0) {
+        descriptions.push(`only paths: ${filters.includePaths.join(', ')}`);
+    }
+    if (filters.excludePaths.length > 0) {
+        descriptions.push(`paths excluded: ${filters.excludePaths.join(', ')}`);
+    }
+    return descriptions;
+}
+
+module.exports = {
+    resolveCommitFilters,
+    isBotCommit,
+    isMergeCommit,
+    toPathGlobs,
+    matchesAnyPath,
+    getCommonPathPrefix,
+    hasPathFilters,
+    applyCommitFilters,
+    describeCommitFilters
+};
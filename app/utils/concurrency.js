@@ -0,0 +1,44 @@
+/**
+ * Concurrency Utilities
+ * Helpers for running async work with a bounded number of workers
+ */
+
+/**
+ * Map items through an async mapper with at most `limit` calls in flight.
+ * Results keep the same order as the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent mapper calls
+ * @param {Function} mapper - Async function (item, index) => result
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(parseInt(limit, 10) || 1, items.length));
+    let nextIndex = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await mapper(items[index], index);
+            } catch (error) {
+                // Stop handing out new items once any call has failed
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
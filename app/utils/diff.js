@@ -0,0 +1,127 @@
+/**
+ * Diff Utilities
+ * Parse unified diffs into per-file change summaries
+ */
+
+/**
+ * Parse diff to extract file information
+ * @param {string} diff - Raw diff string
+ * @returns {Array} Array of file changes
+ */
+function parseDiffFiles(diff) {
+    const files = [];
+    const lines = diff.split('\n');
+    let currentFile = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('diff --git')) {
+            if (currentFile) {
+                files.push(currentFile);
+            }
+            currentFile = {
+                filename: extractFilenameFromDiffLine(line),
+                additions: 0,
+                deletions: 0,
+                changes: []
+            };
+        } else if (line.startsWith('@@') && currentFile) {
+            // Parse hunk header
+            const hunkMatch = line.match(/@@ -(\d+),?(\d*) \+(\d+),?(\d*) @@/);
+            if (hunkMatch) {
+                currentFile.changes.push({
+                    oldStart: parseInt(hunkMatch[1]),
+                    oldLines: parseInt(hunkMatch[2]) || 1,
+                    newStart: parseInt(hunkMatch[3]),
+                    newLines: parseInt(hunkMatch[4]) || 1
+                });
+            }
+        } else if (line.startsWith('+') && !line.startsWith('+++') && currentFile) {
+            currentFile.additions++;
+        } else if (line.startsWith('-') && !line.startsWith('---') && currentFile) {
+            currentFile.deletions++;
+        }
+    }
+
+    if (currentFile) {
+        files.push(currentFile);
+    }
+
+    return files;
+}
+
+/**
+ * Extract filename from diff line
+ * @param {string} line - Diff line
+ * @returns {string} Filename
+ */
+function extractFilenameFromDiffLine(line) {
+    const match = line.match(/diff --git a\/(.+) b\/(.+)/);
+    if (match) {
+        return match[2]; // Return the 'b' filename (new filename)
+    }
+    return '';
+}
+
+/**
+ * Build a unified diff for an edit that only inserts lines
+ * @param {string} oldText - Original text (may be empty)
+ * @param {string} newText - Text with lines inserted; every original line must still be present, in order
+ * @param {string} filename - File name for the diff header
+ * @param {number} context - Unchanged lines shown around each insertion
+ * @returns {string} Unified diff, or '' when nothing was inserted
+ */
+function createInsertionDiff(oldText, newText, filename, context = 3) {
+    const oldLines = oldText ? oldText.split('\n') : [];
+    const rows = [];
+    let kept = 0;
+
+    // Old lines appear in the new text in order, so a single forward scan pairs them up
+    for (const line of newText.split('\n')) {
+        if (kept < oldLines.length && oldLines[kept] === line) {
+            kept++;
+            rows.push({ added: false, line });
+        } else {
+            rows.push({ added: true, line });
+        }
+    }
+    if (kept < oldLines.length) {
+        throw new Error('Only insertions can be diffed');
+    }
+
+    const added = rows.map((row, index) => (row.added ? index : -1)).filter(index => index !== -1);
+    if (added.length === 0) {
+        return '';
+    }
+
+    // Merge insertions whose context would overlap into one hunk
+    const hunks = [];
+    for (const index of added) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    }
+
+    let diff = `--- a/${filename}\n+++ b/${filename}\n`;
+    for (const hunk of hunks) {
+        const start = Math.max(0, hunk.start - context);
+        const end = Math.min(rows.length - 1, hunk.end + context);
+        const slice = rows.slice(start, end + 1);
+        const oldBefore = rows.slice(0, start).filter(row => !row.added).length;
+        const oldCount = slice.filter(row => !row.added).length;
+
+        diff += `@@ -${oldCount > 0 ? oldBefore + 1 : oldBefore},${oldCount} +${start + 1},${slice.length} @@\n`;
+        diff += slice.map(row => `${row.added ? '+' : ' '}${row.line}\n`).join('');
+    }
+    return diff;
+}
+
+module.exports = {
+    parseDiffFiles,
+    extractFilenameFromDiffLine,
+    createInsertionDiff
+};
@@ -0,0 +1,85 @@
+/**
+ * GitHub Host Utilities
+ * Derive web, REST and GraphQL endpoints for github.com and GitHub Enterprise Server
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Normalise a configured API base URL.
+ * Accepts a GHES web root (https://ghe.example.com) or its API root
+ * (https://ghe.example.com/api/v3).
+ * @param {string} apiUrl - Configured API base URL
+ * @returns {string} REST API base URL without a trailing slash
+ */
+function normalizeApiUrl(apiUrl) {
+    if (!apiUrl) {
+        return DEFAULT_API_URL;
+    }
+
+    let url;
+    try {
+        url = new URL(apiUrl);
+    } catch (error) {
+        throw new Error(`Invalid GitHub API URL "${apiUrl}"`);
+    }
+
+    const pathname = url.pathname.replace(/\/+$/, '');
+    if (url.host === 'api.github.com' || url.host === 'github.com') {
+        return DEFAULT_API_URL;
+    }
+
+    return `${url.protocol}//${url.host}${pathname.endsWith('/api/v3') ? pathname : `${pathname}/api/v3`}`;
+}
+
+/**
+ * Check whether an API base URL points at github.com
+ * @param {string} apiUrl - REST API base URL
+ * @returns {boolean} True for github.com
+ */
+function isGitHubDotCom(apiUrl) {
+    return new URL(normalizeApiUrl(apiUrl)).host === 'api.github.com';
+}
+
+/**
+ * Get the web root (where repositories are browsed) for an API base URL
+ * @param {string} apiUrl - REST API base URL
+ * @returns {string} Web root URL, e.g. https://github.com
+ */
+function getWebUrl(apiUrl) {
+    if (isGitHubDotCom(apiUrl)) {
+        return 'https://github.com';
+    }
+    const url = new URL(normalizeApiUrl(apiUrl));
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/api\/v3$/, '')}`;
+}
+
+/**
+ * Get the web host name for an API base URL
+ * @param {string} apiUrl - REST API base URL
+ * @returns {string} Host name, e.g. github.com
+ */
+function getWebHost(apiUrl) {
+    return new URL(getWebUrl(apiUrl)).host.toLowerCase();
+}
+
+/**
+ * Get the GraphQL endpoint for an API base URL
+ * @param {string} apiUrl - REST API base URL
+ * @returns {string} GraphQL endpoint
+ */
+function getGraphqlUrl(apiUrl) {
+    if (isGitHubDotCom(apiUrl)) {
+        return `${DEFAULT_API_URL}/graphql`;
+    }
+    return `${getWebUrl(apiUrl)}/api/graphql`;
+}
+
+module.exports = {
+    DEFAULT_API_URL,
+    normalizeApiUrl,
+    isGitHubDotCom,
+    getWebUrl,
+    getWebHost,
+    getGraphqlUrl
+};
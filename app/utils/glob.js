@@ -0,0 +1,51 @@
+/**
+ * Glob Utilities
+ * Match branch names and file paths against shell-style patterns
+ */
+
+/**
+ * Convert a glob to a regular expression.
+ * `*` and `?` stay within one path segment, `**` crosses segments and
+ * `**\/` also matches no directory at all (so `src/**\/*.js` matches `src/a.js`).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a value matches any of the given globs
+ * @param {string} value - Branch name or file path
+ * @param {Array} patterns - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+function matchesAnyGlob(value, patterns) {
+    return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesAnyGlob
+};
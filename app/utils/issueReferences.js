@@ -0,0 +1,35 @@
+/**
+ * Issue Reference Parser
+ * Finds the issues a commit message points at: "#123", "fixes #123", "Closes: #45"
+ */
+
+// GitHub's closing keywords, optionally followed by a colon
+const CLOSING_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+#(\d+)\b/gi;
+
+// "#123" not preceded by a word character or '/', so "abc#1" and "owner/repo#1" are skipped
+const REFERENCE_PATTERN = /(^|[^\w/])#(\d+)\b/g;
+
+/**
+ * Extract the issue numbers referenced by a commit message
+ * @param {string} message - Commit message
+ * @returns {Array} References ({ number, closes }) in order of first mention
+ */
+function extractIssueReferences(message) {
+    const closing = new Set();
+    for (const match of (message || '').matchAll(CLOSING_PATTERN)) {
+        closing.add(parseInt(match[1], 10));
+    }
+
+    const references = new Map();
+    for (const match of (message || '').matchAll(REFERENCE_PATTERN)) {
+        const number = parseInt(match[2], 10);
+        if (!references.has(number)) {
+            references.set(number, { number, closes: closing.has(number) });
+        }
+    }
+    return [...references.values()];
+}
+
+module.exports = {
+    extractIssueReferences
+};
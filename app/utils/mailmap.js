@@ -0,0 +1,43 @@
+/**
+ * Mailmap Parser
+ * Reads git's .mailmap format, which maps the names and emails commits were made with to canonical ones
+ */
+
+// "Name <email>" pairs on one line; the name part may be empty
+const PERSON_PATTERN = /\s*([^<]*?)\s*<([^>]*)>/g;
+
+/**
+ * Parse .mailmap content. Each line has one of the forms git accepts:
+ *   Proper Name <commit@email>
+ *   <proper@email> <commit@email>
+ *   Proper Name <proper@email> <commit@email>
+ *   Proper Name <proper@email> Commit Name <commit@email>
+ * @param {string} content - .mailmap content
+ * @returns {Array} Entries ({ properName, properEmail, commitName, commitEmail }); missing parts are null
+ */
+function parseMailmap(content) {
+    const entries = [];
+
+    (content || '').split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const people = [...line.matchAll(PERSON_PATTERN)].map(match => ({ name: match[1] || null, email: match[2].trim() }));
+        if (people.length === 0) {
+            return;
+        }
+
+        // One address: it is both the proper and the commit email, and only the name changes
+        const [proper, commit = people[0]] = people;
+        entries.push({
+            properName: proper.name,
+            properEmail: people.length > 1 ? proper.email || null : null,
+            commitName: people.length > 1 ? commit.name : null,
+            commitEmail: commit.email.toLowerCase()
+        });
+    });
+
+    return entries;
+}
+
+module.exports = {
+    parseMailmap
+};
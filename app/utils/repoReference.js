@@ -0,0 +1,135 @@
+/**
+ * Repository Reference Parser
+ * Turns the many ways of pointing at a repository into { host, owner, repo, ref }
+ */
+
+// Owner and repository names: letters, digits, '-', '_' and '.'
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Split a repository URL, scp-style ssh address or shorthand into host and path segments
+ * @param {string} input - Repository URL or owner/repo shorthand
+ * @returns {Object} { host, segments, isWebUrl } - host is lower-cased, or null for shorthand;
+ *   isWebUrl is true for http(s) links, whose extra path segments may carry a ref
+ */
+function splitRepoReference(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new Error('Invalid GitHub repository URL format');
+    }
+
+    const value = input.trim();
+    let host = null;
+    let path;
+    let isWebUrl = false;
+
+    const scpMatch = value.match(/^[^@\s/]+@([^:\s/]+):(.+)$/);
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error('Invalid GitHub repository URL format');
+        }
+        isWebUrl = /^https?:$/.test(url.protocol);
+        // Web ports are part of the host; ssh ports are not
+        host = (isWebUrl ? url.host : url.hostname).toLowerCase();
+        path = decodeURIComponent(url.pathname);
+    } else if (scpMatch) {
+        host = scpMatch[1].toLowerCase();
+        path = scpMatch[2];
+    } else if (!/[\s:@]/.test(value)) {
+        // Shorthand, optionally prefixed with a host: owner/repo or github.com/owner/repo
+        const segments = value.split('/').filter(Boolean);
+        if (segments.length > 2 && segments[0].includes('.')) {
+            host = segments.shift().toLowerCase();
+            isWebUrl = true;
+        }
+        path = segments.join('/');
+    } else {
+        throw new Error('Invalid GitHub repository URL format');
+    }
+
+    return { host, segments: path.split('/').filter(Boolean), isWebUrl };
+}
+
+/**
+ * Get the host a repository reference points at, without validating the rest
+ * @param {string} input - Repository URL or owner/repo shorthand
+ * @returns {string|null} Lower-cased host, or null for shorthand and unparseable input
+ */
+function getReferenceHost(input) {
+    try {
+        return splitRepoReference(input).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a repository reference.
+ *
+ * Accepted forms:
+ *   owner/repo
+ *   github.com/owner/repo
+ *   https://github.com/owner/repo(.git)(/)
+ *   https://github.com/owner/repo/tree/<branch>      (ref = branch, may contain '/')
+ *   https://github.com/owner/repo/commits/<branch>   (ref = branch)
+ *   https://github.com/owner/repo/commit/<sha>       (ref = sha)
+ *   https://api.github.com/repos/owner/repo, https://<ghes>/api/v3/repos/owner/repo
+ *   git@github.com:owner/repo.git
+ *   ssh://git@github.com(:port)/owner/repo.git, git://github.com/owner/repo.git
+ *
+ * @param {string} input - Repository URL or owner/repo shorthand
+ * @returns {Object} { host, owner, repo, ref } - host is the lower-cased web host,
+ *   or null for shorthand; ref is null unless the link names a branch or commit
+ */
+function parseRepoReference(input) {
+    const reference = splitRepoReference(input);
+    let { host, segments } = reference;
+
+    // REST API URLs: https://api.github.com/repos/o/r or https://<ghes>/api/v3/repos/o/r
+    if (host === 'api.github.com' || (segments[0] === 'api' && segments[1] === 'v3')) {
+        if (segments[0] === 'api') {
+            segments = segments.slice(2);
+        }
+        if (segments[0] === 'repos') {
+            segments = segments.slice(1);
+        }
+        host = host === 'api.github.com' ? 'github.com' : host;
+        // Anything after owner/repo names an API sub-resource, not a ref
+        segments = segments.slice(0, 2);
+    }
+
+    if (segments.length < 2) {
+        throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
+    }
+
+    const owner = segments[0];
+    const repo = segments[1].replace(/\.git$/, '');
+    const rest = segments.slice(2);
+
+    if (!NAME_PATTERN.test(owner) || !NAME_PATTERN.test(repo)) {
+        throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
+    }
+
+    // Only browser links carry extra path segments; ssh and shorthand forms must stop at the repo
+    let ref = null;
+    if (rest.length > 0) {
+        if (!reference.isWebUrl) {
+            throw new Error('Invalid GitHub repository URL. Expected format: owner/repo');
+        }
+        if ((rest[0] === 'tree' || rest[0] === 'commits') && rest.length > 1) {
+            ref = rest.slice(1).join('/');
+        } else if (rest[0] === 'commit' && rest.length > 1) {
+            ref = rest[1];
+        }
+    }
+
+    return { host, owner, repo, ref };
+}
+
+module.exports = {
+    splitRepoReference,
+    getReferenceHost,
+    parseRepoReference
+};
@@ -0,0 +1,34 @@
+/**
+ * Retry Utilities
+ * Helpers for waiting between retries of failed requests
+ */
+
+// Network error codes worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff delay with jitter (between half and all of the window)
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseMs - Delay for the first retry
+ * @param {number} maxMs - Upper bound for any delay
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseMs = 1000, maxMs = 30000) {
+    const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+module.exports = {
+    TRANSIENT_ERROR_CODES,
+    sleep,
+    backoffDelay
+};
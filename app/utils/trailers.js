@@ -0,0 +1,57 @@
+/**
+ * Commit Trailer Parser
+ * Reads git trailers ("Co-authored-by: Name <email>") from the end of a commit message
+ */
+
+// "Key: value", with the key made of letters, digits and dashes as git allows
+const TRAILER_LINE = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.+?)\s*$/;
+
+/**
+ * Parse the trailers of a commit message. Trailers are the lines of the last
+ * paragraph, after the subject, when every line of that paragraph is "Key: value".
+ * @param {string} message - Commit message
+ * @returns {Array} Trailers ({ key, value }) in message order; keys keep their original case
+ */
+function parseTrailers(message) {
+    const paragraphs = (message || '').trim().split(/\n\s*\n/);
+    if (paragraphs.length < 2) {
+        return [];
+    }
+
+    const lines = paragraphs[paragraphs.length - 1].split('\n').map(line => line.trim()).filter(Boolean);
+    const matches = lines.map(line => line.match(TRAILER_LINE));
+    if (matches.some(match => !match)) {
+        return [];
+    }
+    return matches.map(match => ({ key: match[1], value: match[2] }));
+}
+
+/**
+ * Get the values of one trailer key, matched case-insensitively
+ * @param {Array} trailers - Trailers from parseTrailers
+ * @param {string} key - Trailer key, e.g. 'Co-authored-by'
+ * @returns {Array} Values in message order
+ */
+function getTrailerValues(trailers, key) {
+    const wanted = key.toLowerCase();
+    return trailers.filter(trailer => trailer.key.toLowerCase() === wanted).map(trailer => trailer.value);
+}
+
+/**
+ * Parse a "Name <email>" trailer value
+ * @param {string} value - Trailer value
+ * @returns {Object} { name, email }; email is '' when the value has none
+ */
+function parsePerson(value) {
+    const match = value.match(/^(.*?)\s*<([^>]*)>$/);
+    if (!match) {
+        return { name: value.trim(), email: '' };
+    }
+    return { name: match[1].trim() || match[2], email: match[2].trim() };
+}
+
+module.exports = {
+    parseTrailers,
+    getTrailerValues,
+    parsePerson
+};
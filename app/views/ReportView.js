@@ -35,11 +35,11 @@ class ReportView {
 
     /**
      * Format report for HTML output
-     * @param {Object} reportData - Report data
+     * @param {Object} reportData - Report data; `title` overrides the page title
      * @returns {string} Formatted HTML report
      */
     formatHtmlReport(reportData) {
-        const { report, summary } = reportData;
+        const { report, summary, title = 'GitHub Commit Report' } = reportData;
 
         const html = `
 <!DOCTYPE html>
@@ -47,7 +47,7 @@ class ReportView {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>GitHub Commit Report</title>
+    <title>${title}</title>
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -234,7 +234,7 @@ class ReportView {
 <body>
     <div class="container">
         <div class="header">
-            <h1 class="title">GitHub Commit Report</h1>
+            <h1 class="title">${title}</h1>
         </div>
         
         ${summary ? `
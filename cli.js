@@ -5,21 +5,229 @@
  * This is the main CLI interface that uses the MVC architecture
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const CommitController = require('./app/controllers/CommitController');
 const RepositoryController = require('./app/controllers/RepositoryController');
 const ReportController = require('./app/controllers/ReportController');
+const CacheService = require('./app/services/CacheService');
+const GitHubService = require('./app/services/GitHubService');
+const ReleaseNotesService = require('./app/services/ReleaseNotesService');
+const Commit = require('./app/models/Commit');
 
 // Initialize controllers
 const commitController = new CommitController();
 const repositoryController = new RepositoryController();
 const reportController = new ReportController();
 
+/**
+ * Parse a positive integer CLI option value
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 1) {
+        throw new InvalidArgumentError('Expected a positive integer.');
+    }
+    return parsed;
+}
+
+/**
+ * Parse the --backend CLI option value
+ * @param {string} value - Raw option value
+ * @returns {string} Backend name
+ */
+function parseBackend(value) {
+    if (!['rest', 'graphql'].includes(value)) {
+        throw new InvalidArgumentError('Use "rest" or "graphql".');
+    }
+    return value;
+}
+
+/**
+ * Parse the --group-by CLI option value
+ * @param {string} value - Raw option value
+ * @returns {string} Grouping mode
+ */
+function parseGroupBy(value) {
+    if (!ReportController.GROUP_BY_MODES.includes(value)) {
+        throw new InvalidArgumentError(`Use ${ReportController.GROUP_BY_MODES.map(mode => `"${mode}"`).join(' or ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Parse the --style CLI option value of release-notes
+ * @param {string} value - Raw option value
+ * @returns {string} Release notes style
+ */
+function parseReleaseNotesStyle(value) {
+    if (!ReleaseNotesService.STYLES.includes(value)) {
+        throw new InvalidArgumentError(`Use ${ReleaseNotesService.STYLES.map(style => `"${style}"`).join(' or ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Parse the --credit CLI option value
+ * @param {string} value - Raw option value
+ * @returns {string} Credit mode
+ */
+function parseCredit(value) {
+    if (!Commit.CREDIT_MODES.includes(value)) {
+        throw new InvalidArgumentError(`Use ${Commit.CREDIT_MODES.map(mode => `"${mode}"`).join(' or ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Print the pull request counts of a report grouped by pull request
+ * @param {Object} summary - Report summary
+ */
+function printPullRequestSummary(summary) {
+    if (summary.pullRequests !== undefined) {
+        console.log(chalk.cyan(`- Pull requests: ${summary.pullRequests}`));
+        console.log(chalk.cyan(`- Direct pushes: ${summary.directPushes}`));
+    }
+}
+
+/**
+ * Print the issue activity counts of a range report
+ * @param {Object} summary - Report summary
+ */
+function printIssueSummary(summary) {
+    if (summary.issuesOpened !== undefined) {
+        console.log(chalk.cyan(`- Issues opened: ${summary.issuesOpened}, closed: ${summary.issuesClosed}, commented on: ${summary.issuesCommented}`));
+    }
+}
+
+/**
+ * Parse the --branches CLI option value
+ * @param {string} value - Comma-separated branch globs
+ * @returns {Array} Branch globs
+ */
+function parseBranchPatterns(value) {
+    const patterns = value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    if (patterns.length === 0) {
+        throw new InvalidArgumentError('Expected at least one branch name or glob.');
+    }
+    return patterns;
+}
+
+/**
+ * Parse the --include-paths and --exclude-paths CLI option values
+ * @param {string} value - Comma-separated path globs
+ * @returns {Array} Path globs
+ */
+function parsePathPatterns(value) {
+    const patterns = value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    if (patterns.length === 0) {
+        throw new InvalidArgumentError('Expected at least one path or glob.');
+    }
+    return patterns;
+}
+
+/**
+ * Collect repeated --path options, each of which may list several comma-separated globs
+ * @param {string} value - Path globs
+ * @param {Array} previous - Globs given so far
+ * @returns {Array} Path globs
+ */
+function collectPaths(value, previous = []) {
+    return [...previous, ...parsePathPatterns(value)];
+}
+
+/**
+ * Collect the commit filters of a command; unset ones fall back to the REPORT_* configuration
+ * @param {Object} options - Parsed command options
+ * @returns {Object} Commit filters (excludeBots, excludeMerges, paths, includePaths, excludePaths)
+ */
+function getCommitFilters(options) {
+    return {
+        excludeBots: options.excludeBots,
+        excludeMerges: options.merges === undefined ? undefined : !options.merges,
+        paths: options.path,
+        includePaths: options.includePaths,
+        excludePaths: options.excludePaths
+    };
+}
+
+/**
+ * Collect commit fetching options shared by the report commands
+ * @param {Object} options - Parsed command options
+ * @returns {Object} Fetch options for the report controller
+ */
+function getFetchOptions(options) {
+    if (options.branch && (options.allBranches || options.branches)) {
+        throw new Error('Use either --branch or --all-branches/--branches, not both');
+    }
+
+    return {
+        concurrency: options.concurrency,
+        backend: options.backend,
+        // Left unset, each report decides whether it shows file lists
+        includeFiles: options.files ? undefined : false,
+        branches: options.branches || (options.allBranches ? ['**'] : undefined)
+    };
+}
+
+/**
+ * Collect the identity resolution options shared by report and statistics commands
+ * @param {Object} options - Parsed command options
+ * @returns {Object} Identity options (mailmap, aliasFile)
+ */
+function getIdentityOptions(options) {
+    return {
+        mailmap: options.mailmap,
+        aliasFile: options.aliases
+    };
+}
+
+/**
+ * Collect repeated --author options
+ * @param {string} value - Email, GitHub login or name
+ * @param {Array} previous - Authors given so far
+ * @returns {Array} Authors
+ */
+function collectAuthors(value, previous = []) {
+    return [...previous, value];
+}
+
+/**
+ * Validate a --team option
+ * @param {string} value - Team as org/team-slug
+ * @returns {string} The team
+ */
+function parseTeam(value) {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(value)) {
+        throw new InvalidArgumentError('Use org/team-slug, e.g. acme/web.');
+    }
+    return value;
+}
+
+/**
+ * Get the author filter of a command: its --author values, or null for everyone
+ * @param {Object} options - Parsed command options
+ * @returns {Array|null} Authors
+ */
+function getAuthors(options) {
+    return options.author || null;
+}
+
 program
     .name('github-commit-reporter')
     .description('Generate day-wise commit reports from GitHub repositories using MVC architecture')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--api-url <url>', 'GitHub API base URL, e.g. https://github.example.com/api/v3 (default: GITHUB_API_URL)')
+    // Options after the command name belong to the command, so `changelog --version` is not the program version
+    .enablePositionalOptions()
+    .hook('preAction', () => {
+        const { apiUrl } = program.opts();
+        if (apiUrl) {
+            GitHubService.setDefaultApiUrl(apiUrl);
+        }
+    });
 
 // Quick reporter command
 program
@@ -27,20 +235,40 @@ program
     .description('Generate a quick commit report (fast and efficient)')
     .option('--output <filename>', 'Output filename')
     .option('--format <format>', 'Output format (markdown, text, html, json)', 'text')
-    .option('--branch <branch>', 'Branch name', 'main')
+    .option('--branch <branch>', 'Branch name (default: the ref in a /tree/ or /commit/ link, else the default branch)')
+    .option('--all-branches', 'Report on commits from every branch')
+    .option('--branches <globs>', 'Report on branches matching comma-separated globs, e.g. "main,feature/*"', parseBranchPatterns)
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--backend <backend>', 'Commit history backend (rest, graphql)', parseBackend)
+    .option('--no-files', 'Leave out file lists, saving one request per commit with the graphql backend')
+    .option('--group-by <mode>', 'List commits one by one or grouped under their pull requests (commit, pr)', parseGroupBy, 'commit')
+    .option('--author <author>', 'Only commits by this email, GitHub login or name (repeat for several people)', collectAuthors)
+    .option('--team <org/team>', 'Only commits by members of a GitHub team, e.g. acme/web', parseTeam)
+    .option('--exclude-bots', 'Leave out commits by bots such as dependabot and renovate')
+    .option('--no-exclude-bots', 'Keep bot commits (overrides REPORT_EXCLUDE_BOTS)')
+    .option('--merges', 'Keep merge commits (overrides REPORT_EXCLUDE_MERGES)')
+    .option('--no-merges', 'Leave out merge commits')
+    .option('--path <glob>', 'Scope the report to a path, e.g. "packages/web/**" (repeat for several paths)', collectPaths)
+    .option('--include-paths <globs>', 'Count only files matching comma-separated globs, e.g. "src/**"', parsePathPatterns)
+    .option('--exclude-paths <globs>', 'Ignore files matching comma-separated globs, e.g. "package-lock.json,dist/"', parsePathPatterns)
+    .option('--aliases <file>', 'JSON alias file mapping the names, emails and logins people commit with to one identity')
+    .option('--no-mailmap', "Ignore the repository's .mailmap")
     .action(async (repoUrl, date, options) => {
         console.log(chalk.blue('🚀 Running Quick Commit Reporter...'));
         try {
             console.log(chalk.blue(`Repository: ${repoUrl}`));
             console.log(chalk.blue(`Target date: ${date}`));
-            console.log(chalk.blue(`Branch: ${options.branch}`));
+            const fetchOptions = getFetchOptions(options);
+            console.log(chalk.blue(`Branch: ${await reportController.describeBranches(repoUrl, options.branch, fetchOptions)}`));
 
             const reportData = await reportController.generateQuickReport(
                 repoUrl,
                 date,
                 date,
                 options.branch,
-                options.format
+                options.format,
+                getAuthors(options),
+                { ...fetchOptions, ...getIdentityOptions(options), team: options.team, filters: getCommitFilters(options), groupBy: options.groupBy }
             );
 
             console.log(chalk.green(`Found ${reportData.summary.totalCommits} commits`));
@@ -64,11 +292,13 @@ program
                 console.log(chalk.cyan(`- Total additions: +${reportData.summary.totalAdditions}`));
                 console.log(chalk.cyan(`- Total deletions: -${reportData.summary.totalDeletions}`));
                 console.log(chalk.cyan(`- Net changes: ${reportData.summary.netChanges}`));
+                printPullRequestSummary(reportData.summary);
             } else {
                 console.log(chalk.yellow('No commits found for the specified date'));
             }
         } catch (error) {
             console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
             process.exit(1);
         }
     });
@@ -79,14 +309,30 @@ program
     .description('Generate an enhanced commit report with AI analysis')
     .option('--output <filename>', 'Output filename')
     .option('--format <format>', 'Output format (markdown, text, html, json)', 'text')
-    .option('--branch <branch>', 'Branch name', 'main')
+    .option('--branch <branch>', 'Branch name (default: the ref in a /tree/ or /commit/ link, else the default branch)')
+    .option('--all-branches', 'Report on commits from every branch')
+    .option('--branches <globs>', 'Report on branches matching comma-separated globs, e.g. "main,feature/*"', parseBranchPatterns)
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--backend <backend>', 'Commit history backend (rest, graphql)', parseBackend)
     .option('--openai-key <key>', 'OpenAI API key for AI analysis')
+    .option('--author <author>', 'Only commits by this email, GitHub login or name (repeat for several people)', collectAuthors)
+    .option('--team <org/team>', 'Only commits by members of a GitHub team, e.g. acme/web', parseTeam)
+    .option('--exclude-bots', 'Leave out commits by bots such as dependabot and renovate')
+    .option('--no-exclude-bots', 'Keep bot commits (overrides REPORT_EXCLUDE_BOTS)')
+    .option('--merges', 'Keep merge commits (overrides REPORT_EXCLUDE_MERGES)')
+    .option('--no-merges', 'Leave out merge commits')
+    .option('--path <glob>', 'Scope the report to a path, e.g. "packages/web/**" (repeat for several paths)', collectPaths)
+    .option('--include-paths <globs>', 'Count only files matching comma-separated globs, e.g. "src/**"', parsePathPatterns)
+    .option('--exclude-paths <globs>', 'Ignore files matching comma-separated globs, e.g. "package-lock.json,dist/"', parsePathPatterns)
+    .option('--aliases <file>', 'JSON alias file mapping the names, emails and logins people commit with to one identity')
+    .option('--no-mailmap', "Ignore the repository's .mailmap")
     .action(async (repoUrl, date, options) => {
         console.log(chalk.blue('🤖 Running Enhanced Commit Reporter...'));
         try {
             console.log(chalk.blue(`Repository: ${repoUrl}`));
             console.log(chalk.blue(`Target date: ${date}`));
-            console.log(chalk.blue(`Branch: ${options.branch}`));
+            const fetchOptions = getFetchOptions(options);
+            console.log(chalk.blue(`Branch: ${await reportController.describeBranches(repoUrl, options.branch, fetchOptions)}`));
 
             const reportData = await reportController.generateEnhancedReport(
                 repoUrl,
@@ -94,7 +340,9 @@ program
                 date,
                 options.branch,
                 options.format,
-                options.openaiKey
+                options.openaiKey,
+                getAuthors(options),
+                { ...fetchOptions, ...getIdentityOptions(options), team: options.team, filters: getCommitFilters(options) }
             );
 
             console.log(chalk.green(`Found ${reportData.summary.totalCommits} commits`));
@@ -124,6 +372,7 @@ program
             }
         } catch (error) {
             console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
             process.exit(1);
         }
     });
@@ -134,15 +383,37 @@ program
     .description('Generate a report for a date range')
     .option('--output <filename>', 'Output filename')
     .option('--format <format>', 'Output format (markdown, text, html, json)', 'text')
-    .option('--branch <branch>', 'Branch name', 'main')
+    .option('--branch <branch>', 'Branch name (default: the ref in a /tree/ or /commit/ link, else the default branch)')
+    .option('--all-branches', 'Report on commits from every branch')
+    .option('--branches <globs>', 'Report on branches matching comma-separated globs, e.g. "main,feature/*"', parseBranchPatterns)
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--backend <backend>', 'Commit history backend (rest, graphql)', parseBackend)
+    .option('--no-files', 'Leave out file lists, saving one request per commit with the graphql backend')
+    .option('--group-by <mode>', 'List commits one by one or grouped under their pull requests (commit, pr)', parseGroupBy, 'commit')
+    .option('--no-issues', 'Leave out the section on issues opened, closed and commented on')
     .option('--enhanced', 'Use enhanced report with AI analysis')
     .option('--openai-key <key>', 'OpenAI API key for AI analysis')
+    .option('--author <author>', 'Only commits by this email, GitHub login or name (repeat for several people)', collectAuthors)
+    .option('--team <org/team>', 'Only commits by members of a GitHub team, e.g. acme/web', parseTeam)
+    .option('--exclude-bots', 'Leave out commits by bots such as dependabot and renovate')
+    .option('--no-exclude-bots', 'Keep bot commits (overrides REPORT_EXCLUDE_BOTS)')
+    .option('--merges', 'Keep merge commits (overrides REPORT_EXCLUDE_MERGES)')
+    .option('--no-merges', 'Leave out merge commits')
+    .option('--path <glob>', 'Scope the report to a path, e.g. "packages/web/**" (repeat for several paths)', collectPaths)
+    .option('--include-paths <globs>', 'Count only files matching comma-separated globs, e.g. "src/**"', parsePathPatterns)
+    .option('--exclude-paths <globs>', 'Ignore files matching comma-separated globs, e.g. "package-lock.json,dist/"', parsePathPatterns)
+    .option('--aliases <file>', 'JSON alias file mapping the names, emails and logins people commit with to one identity')
+    .option('--no-mailmap', "Ignore the repository's .mailmap")
     .action(async (repoUrl, fromDate, toDate, options) => {
         console.log(chalk.blue('📅 Running Date Range Reporter...'));
         try {
             console.log(chalk.blue(`Repository: ${repoUrl}`));
             console.log(chalk.blue(`Date range: ${fromDate} to ${toDate}`));
-            console.log(chalk.blue(`Branch: ${options.branch}`));
+            const fetchOptions = getFetchOptions(options);
+            if (options.enhanced && options.groupBy !== 'commit') {
+                throw new Error('--group-by is only available for quick reports');
+            }
+            console.log(chalk.blue(`Branch: ${await reportController.describeBranches(repoUrl, options.branch, fetchOptions)}`));
 
             let reportData;
             if (options.enhanced) {
@@ -152,7 +423,9 @@ program
                     toDate,
                     options.branch,
                     options.format,
-                    options.openaiKey
+                    options.openaiKey,
+                    getAuthors(options),
+                    { ...fetchOptions, ...getIdentityOptions(options), team: options.team, filters: getCommitFilters(options), includeIssues: options.issues }
                 );
             } else {
                 reportData = await reportController.generateQuickReport(
@@ -160,7 +433,9 @@ program
                     fromDate,
                     toDate,
                     options.branch,
-                    options.format
+                    options.format,
+                    getAuthors(options),
+                    { ...fetchOptions, ...getIdentityOptions(options), team: options.team, filters: getCommitFilters(options), groupBy: options.groupBy, includeIssues: options.issues }
                 );
             }
 
@@ -185,6 +460,8 @@ program
                 console.log(chalk.cyan(`- Total additions: +${reportData.summary.totalAdditions}`));
                 console.log(chalk.cyan(`- Total deletions: -${reportData.summary.totalDeletions}`));
                 console.log(chalk.cyan(`- Net changes: ${reportData.summary.netChanges}`));
+                printPullRequestSummary(reportData.summary);
+                printIssueSummary(reportData.summary);
                 if (options.enhanced) {
                     console.log(chalk.cyan(`- AI Analysis: ${reportData.summary.aiAnalysis ? 'Enabled' : 'Disabled'}`));
                 }
@@ -193,6 +470,201 @@ program
             }
         } catch (error) {
             console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
+            process.exit(1);
+        }
+    });
+
+// Compare command
+program
+    .command('compare <repo_url> <base> <head>')
+    .description('Generate a report for the commits between two tags, branches or SHAs (GitHub only)')
+    .option('--output <filename>', 'Output filename')
+    .option('--format <format>', 'Output format (markdown, text, html, json)', 'text')
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--enhanced', 'Use enhanced report with AI analysis')
+    .option('--openai-key <key>', 'OpenAI API key for AI analysis')
+    .action(async (repoUrl, base, head, options) => {
+        console.log(chalk.blue('🔀 Running Compare Reporter...'));
+        try {
+            console.log(chalk.blue(`Repository: ${repoUrl}`));
+            console.log(chalk.blue(`Comparing: ${base}...${head}`));
+
+            const reportData = await reportController.generateCompareReport(
+                repoUrl,
+                base,
+                head,
+                options.enhanced ? 'enhanced' : 'quick',
+                options.format,
+                options.openaiKey,
+                { concurrency: options.concurrency }
+            );
+
+            console.log(chalk.green(`Found ${reportData.summary.totalCommits} commits`));
+
+            if (reportData.summary.totalCommits > 0) {
+                // Save report if output filename is provided
+                if (options.output) {
+                    const filePath = await reportController.saveReport(reportData.report, options.output);
+                    console.log(chalk.green(`Report saved to: ${filePath}`));
+                } else {
+                    // Print report to console
+                    console.log(chalk.cyan('\n' + '='.repeat(50)));
+                    console.log(chalk.cyan('COMPARE REPORT'));
+                    console.log(chalk.cyan('='.repeat(50)));
+                    console.log(reportData.report);
+                }
+
+                // Print summary
+                console.log(chalk.cyan('\nSummary:'));
+                console.log(chalk.cyan(`- Total commits: ${reportData.summary.totalCommits}`));
+                console.log(chalk.cyan(`- Total additions: +${reportData.summary.totalAdditions}`));
+                console.log(chalk.cyan(`- Total deletions: -${reportData.summary.totalDeletions}`));
+                console.log(chalk.cyan(`- Net changes: ${reportData.summary.netChanges}`));
+                if (options.enhanced) {
+                    console.log(chalk.cyan(`- AI Analysis: ${reportData.summary.aiAnalysis ? 'Enabled' : 'Disabled'}`));
+                }
+            } else {
+                console.log(chalk.yellow(`No commits found between ${base} and ${head}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
+            process.exit(1);
+        }
+    });
+
+// Release notes command
+program
+    .command('release-notes <repo_url> <from_tag> <to_tag>')
+    .description('Generate release notes for the commits between two tags, grouped by change type (GitHub only)')
+    .option('--output <filename>', 'Output filename')
+    .option('--style <style>', 'Release notes style (keep-a-changelog, github)', parseReleaseNotesStyle, 'keep-a-changelog')
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--openai-key <key>', 'OpenAI API key to classify commits without a conventional commit prefix')
+    .action(async (repoUrl, fromTag, toTag, options) => {
+        console.log(chalk.blue('📦 Generating Release Notes...'));
+        try {
+            console.log(chalk.blue(`Repository: ${repoUrl}`));
+            console.log(chalk.blue(`Release: ${fromTag}...${toTag}`));
+
+            const reportData = await reportController.generateReleaseNotes(
+                repoUrl,
+                fromTag,
+                toTag,
+                options.style,
+                options.openaiKey,
+                { concurrency: options.concurrency }
+            );
+
+            console.log(chalk.green(`Found ${reportData.summary.totalCommits} commits`));
+
+            if (options.output) {
+                const filePath = await reportController.saveReport(reportData.report, options.output);
+                console.log(chalk.green(`Release notes saved to: ${filePath}`));
+            } else {
+                console.log(chalk.cyan('\n' + '='.repeat(50)));
+                console.log(chalk.cyan('RELEASE NOTES'));
+                console.log(chalk.cyan('='.repeat(50)));
+                console.log(reportData.report);
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
+            process.exit(1);
+        }
+    });
+
+// Changelog command
+program
+    .command('changelog <repo_url>')
+    .description('Add the commits since the last recorded release to CHANGELOG.md')
+    .option('--file <path>', 'Changelog file', 'CHANGELOG.md')
+    .option('--version <version>', 'Label of the new section', 'Unreleased')
+    .option('--dry-run', 'Print the changes instead of writing the file')
+    .option('--branch <branch>', 'Branch name (default: the ref in a /tree/ or /commit/ link, else the default branch)')
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--openai-key <key>', 'OpenAI API key to classify commits without a conventional commit prefix')
+    .action(async (repoUrl, options) => {
+        console.log(chalk.blue('📝 Updating Changelog...'));
+        try {
+            console.log(chalk.blue(`Repository: ${repoUrl}`));
+            console.log(chalk.blue(`Changelog: ${options.file}`));
+
+            const result = await reportController.updateChangelog(
+                repoUrl,
+                options.file,
+                options.version,
+                options.branch,
+                options.openaiKey,
+                { dryRun: options.dryRun, concurrency: options.concurrency }
+            );
+
+            const sinceText = result.since ? ` since ${result.since.version} (${result.since.date})` : '';
+            console.log(chalk.green(`Found ${result.totalCommits} commits${sinceText}`));
+
+            if (!result.diff) {
+                console.log(chalk.yellow('Nothing to add to the changelog'));
+            } else if (result.written) {
+                console.log(chalk.green(`Added [${options.version}] to ${result.filePath}`));
+            } else {
+                console.log(result.diff);
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
+            process.exit(1);
+        }
+    });
+
+// Review activity command
+program
+    .command('reviews <repo_url> <from_date> <to_date>')
+    .description('Generate a pull request review activity report (GitHub only)')
+    .option('--output <filename>', 'Output filename')
+    .option('--format <format>', 'Output format (markdown, text, html, json)', 'text')
+    .option('--concurrency <n>', 'Parallel pull request requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .action(async (repoUrl, fromDate, toDate, options) => {
+        console.log(chalk.blue('👀 Running Review Activity Reporter...'));
+        try {
+            console.log(chalk.blue(`Repository: ${repoUrl}`));
+            console.log(chalk.blue(`Date range: ${fromDate} to ${toDate}`));
+
+            const reportData = await reportController.generateReviewReport(
+                repoUrl,
+                fromDate,
+                toDate,
+                options.format,
+                { concurrency: options.concurrency }
+            );
+
+            console.log(chalk.green(`Found ${reportData.summary.totalReviews} reviews`));
+
+            if (reportData.summary.reviewers > 0) {
+                // Save report if output filename is provided
+                if (options.output) {
+                    const filePath = await reportController.saveReport(reportData.report, options.output);
+                    console.log(chalk.green(`Report saved to: ${filePath}`));
+                } else {
+                    // Print report to console
+                    console.log(chalk.cyan('\n' + '='.repeat(50)));
+                    console.log(chalk.cyan('REVIEW REPORT'));
+                    console.log(chalk.cyan('='.repeat(50)));
+                    console.log(reportData.report);
+                }
+
+                // Print summary
+                console.log(chalk.cyan('\nSummary:'));
+                console.log(chalk.cyan(`- Reviewers: ${reportData.summary.reviewers}`));
+                console.log(chalk.cyan(`- Reviews given: ${reportData.summary.totalReviews}`));
+                console.log(chalk.cyan(`- Review comments: ${reportData.summary.reviewComments}`));
+                console.log(chalk.cyan(`- Pull requests reviewed: ${reportData.summary.pullRequestsReviewed}`));
+            } else {
+                console.log(chalk.yellow('No review activity found for the specified date range'));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
             process.exit(1);
         }
     });
@@ -203,24 +675,47 @@ program
     .description('Get repository statistics')
     .option('--from <date>', 'Start date (YYYY-MM-DD)')
     .option('--to <date>', 'End date (YYYY-MM-DD)')
-    .option('--branch <branch>', 'Branch name', 'main')
+    .option('--branch <branch>', 'Branch name (default: the ref in a /tree/ or /commit/ link, else the default branch)')
+    .option('--all-branches', 'Report on commits from every branch')
+    .option('--branches <globs>', 'Report on branches matching comma-separated globs, e.g. "main,feature/*"', parseBranchPatterns)
+    .option('--concurrency <n>', 'Parallel commit detail requests (default: GITHUB_CONCURRENCY or 5)', parsePositiveInt)
+    .option('--backend <backend>', 'Commit history backend (rest, graphql)', parseBackend)
+    .option('--no-files', 'Leave out file lists, saving one request per commit with the graphql backend')
+    .option('--credit <mode>', 'Credit co-authored commits to everyone in full or in equal shares (full, split)', parseCredit, 'full')
+    .option('--author <author>', 'Only commits by this email, GitHub login or name (repeat for several people)', collectAuthors)
+    .option('--team <org/team>', 'Only commits by members of a GitHub team, e.g. acme/web', parseTeam)
+    .option('--exclude-bots', 'Leave out commits by bots such as dependabot and renovate')
+    .option('--no-exclude-bots', 'Keep bot commits (overrides REPORT_EXCLUDE_BOTS)')
+    .option('--merges', 'Keep merge commits (overrides REPORT_EXCLUDE_MERGES)')
+    .option('--no-merges', 'Leave out merge commits')
+    .option('--path <glob>', 'Scope the report to a path, e.g. "packages/web/**" (repeat for several paths)', collectPaths)
+    .option('--include-paths <globs>', 'Count only files matching comma-separated globs, e.g. "src/**"', parsePathPatterns)
+    .option('--exclude-paths <globs>', 'Ignore files matching comma-separated globs, e.g. "package-lock.json,dist/"', parsePathPatterns)
+    .option('--aliases <file>', 'JSON alias file mapping the names, emails and logins people commit with to one identity')
+    .option('--no-mailmap', "Ignore the repository's .mailmap")
     .action(async (repoUrl, options) => {
         console.log(chalk.blue('📊 Getting Repository Statistics...'));
         try {
             console.log(chalk.blue(`Repository: ${repoUrl}`));
-            console.log(chalk.blue(`Branch: ${options.branch}`));
+            const fetchOptions = getFetchOptions(options);
+            console.log(chalk.blue(`Branch: ${await reportController.describeBranches(repoUrl, options.branch, fetchOptions)}`));
 
             const summary = await reportController.getReportSummary(
                 repoUrl,
                 options.from || '2020-01-01',
                 options.to || new Date().toISOString().split('T')[0],
-                options.branch
+                options.branch,
+                { ...fetchOptions, ...getIdentityOptions(options), author: getAuthors(options), team: options.team, filters: getCommitFilters(options), credit: options.credit }
             );
 
             console.log(chalk.cyan('\nRepository Statistics:'));
             console.log(chalk.cyan(`- Repository: ${summary.repository}`));
             console.log(chalk.cyan(`- Date Range: ${summary.dateRange}`));
             console.log(chalk.cyan(`- Branch: ${summary.branch}`));
+            console.log(chalk.cyan(`- Authors: ${summary.author}`));
+            if (summary.statistics.filters.length > 0) {
+                console.log(chalk.cyan(`- Filters: ${summary.statistics.filters.join('; ')}`));
+            }
             console.log(chalk.cyan(`- Total Commits: ${summary.statistics.totalCommits}`));
             console.log(chalk.cyan(`- Total Additions: +${summary.statistics.totalAdditions}`));
             console.log(chalk.cyan(`- Total Deletions: -${summary.statistics.totalDeletions}`));
@@ -242,6 +737,45 @@ program
             }
         } catch (error) {
             console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
+            process.exit(1);
+        }
+    });
+
+// Cache command
+program
+    .command('cache <action>')
+    .description('Manage the local commit details and ETag caches (stats, clear)')
+    .action(async (action) => {
+        try {
+            const caches = [
+                { label: 'Commit Details', cache: new CacheService({ filename: CacheService.FILES.COMMIT_DETAILS }) },
+                { label: 'Conditional Requests (ETag)', cache: new CacheService({ filename: CacheService.FILES.ETAGS }) }
+            ];
+
+            if (action === 'stats') {
+                for (const { label, cache } of caches) {
+                    const stats = await cache.getStats();
+                    console.log(chalk.cyan(`\n${label} Cache:`));
+                    console.log(chalk.cyan(`- Location: ${stats.path}`));
+                    console.log(chalk.cyan(`- Entries: ${stats.entries} / ${stats.maxEntries}`));
+                    console.log(chalk.cyan(`- Size: ${(stats.sizeBytes / 1024).toFixed(1)} KB`));
+                    console.log(chalk.cyan(`- Hits: ${stats.hits}`));
+                    console.log(chalk.cyan(`- Misses: ${stats.misses}`));
+                    console.log(chalk.cyan(`- Hit rate: ${stats.hitRate}%`));
+                    console.log(chalk.cyan(`- Evictions: ${stats.evictions}`));
+                }
+            } else if (action === 'clear') {
+                for (const { label, cache } of caches) {
+                    const removed = await cache.clear();
+                    console.log(chalk.green(`${label} cache cleared (${removed} entries removed)`));
+                }
+            } else {
+                throw new Error(`Unknown cache action "${action}". Use "stats" or "clear"`);
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            await GitHubService.flushSharedCaches();
             process.exit(1);
         }
     });
@@ -255,25 +789,73 @@ program
         console.log(chalk.yellow('Quick Start:'));
         console.log('  node cli.js quick <repo_url> <date>');
         console.log('  node cli.js enhanced <repo_url> <date>');
-        console.log('  node cli.js range <repo_url> <from_date> <to_date>\n');
+        console.log('  node cli.js range <repo_url> <from_date> <to_date>');
+        console.log('  node cli.js compare <repo_url> <base> <head>');
+        console.log('  node cli.js release-notes <repo_url> <from_tag> <to_tag>');
+        console.log('  node cli.js changelog <repo_url>');
+        console.log('  node cli.js reviews <repo_url> <from_date> <to_date>');
+        console.log('  <repo_url> may also be owner/repo or a local clone such as ./path/to/repo\n');
 
         console.log(chalk.yellow('Examples:'));
         console.log('  node cli.js quick https://github.com/microsoft/vscode 2025-01-15');
         console.log('  node cli.js enhanced https://github.com/microsoft/vscode 2025-01-15 --openai-key sk-...');
         console.log('  node cli.js range https://github.com/microsoft/vscode 2025-01-01 2025-01-15 --enhanced');
-        console.log('  node cli.js stats https://github.com/microsoft/vscode --from 2025-01-01 --to 2025-01-15\n');
+        console.log('  node cli.js compare https://github.com/microsoft/vscode 1.95.0 1.96.0');
+        console.log('  node cli.js release-notes https://github.com/microsoft/vscode 1.95.0 1.96.0 --style github');
+        console.log('  node cli.js changelog https://github.com/microsoft/vscode --version 1.97.0 --dry-run');
+        console.log('  node cli.js reviews https://github.com/microsoft/vscode 2025-01-01 2025-01-31 --format html');
+        console.log('  node cli.js stats https://github.com/microsoft/vscode --from 2025-01-01 --to 2025-01-15');
+        console.log('  node cli.js quick microsoft/vscode 2025-01-15');
+        console.log('  node cli.js stats ./vscode --from 2025-01-01 --to 2025-01-15');
+        console.log('  node cli.js range https://github.com/microsoft/vscode 2025-01-01 2025-01-15 --author alice --author bob@example.com');
+        console.log('  node cli.js stats https://github.com/microsoft/vscode --team microsoft/vscode-core');
+        console.log('  node cli.js range https://github.com/owner/monorepo 2025-01-01 2025-01-15 --path "packages/web/**"');
+        console.log('  node cli.js quick https://github.com/microsoft/vscode/tree/release/1.96 2025-01-15');
+        console.log('  node cli.js range https://bitbucket.org/workspace/repo 2025-01-01 2025-01-15');
+        console.log('  node cli.js cache stats');
+        console.log('  node cli.js cache clear\n');
 
         console.log(chalk.yellow('Options:'));
         console.log('  --output <filename>    Output filename');
         console.log('  --format <format>      Output format (markdown, text, html, json)');
-        console.log('  --branch <branch>       Branch name (default: main)');
+        console.log('  --branch <branch>       Branch name (default: ref from a /tree/ or /commit/ link, else the default branch)');
+        console.log('  --all-branches         Include commits from every branch');
+        console.log('  --branches <globs>     Include branches matching globs, e.g. "main,feature/*"');
+        console.log('  --group-by pr          Group commits under their pull requests (quick and range)');
+        console.log('  --no-issues            Leave out the issues section of range reports');
+        console.log('  --style <style>        Release notes style: keep-a-changelog or github');
+        console.log('  --version <version>    Changelog section label (changelog, default: Unreleased)');
+        console.log('  --dry-run              Print the changelog diff without writing it');
+        console.log('  --credit <mode>        Co-author credit in stats: full (default) or split');
+        console.log('  --author <author>      Only commits by this email, login or name; repeat for several people');
+        console.log('  --team <org/team>      Only commits by members of a GitHub team');
+        console.log('  --exclude-bots         Leave out commits by bots (dependabot, renovate, ...)');
+        console.log('  --no-merges            Leave out merge commits');
+        console.log('  --path <glob>          Scope the report to a path, e.g. "packages/web/**"; repeat for several paths');
+        console.log('  --include-paths <globs> Count only files matching globs, e.g. "src/**"');
+        console.log('  --exclude-paths <globs> Ignore files matching globs, e.g. "package-lock.json,dist/"');
+        console.log('  --aliases <file>       JSON file mapping the emails, names and logins of each person to one identity');
+        console.log("  --no-mailmap           Ignore the repository's .mailmap");
+        console.log('  --concurrency <n>      Parallel commit detail requests (default: 5)');
+        console.log('  --backend <backend>    Commit history backend: rest or graphql (default: rest)');
+        console.log('  --no-files             Skip file lists in quick, range and stats; saves a request per commit with graphql');
+        console.log('  --api-url <url>        GitHub Enterprise Server API URL (https://<host>/api/v3), given before the command');
         console.log('  --openai-key <key>     OpenAI API key (enhanced only)');
         console.log('  --enhanced             Use enhanced report with AI analysis');
         console.log('  --from <date>         Start date for statistics (YYYY-MM-DD)');
         console.log('  --to <date>           End date for statistics (YYYY-MM-DD)\n');
 
         console.log(chalk.yellow('Configuration:'));
-        console.log('  Edit app/config/config.js to set your GitHub token and OpenAI API key\n');
+        console.log('  Edit app/config/config.js to set your GitHub token and OpenAI API key');
+        console.log('  Set GITHUB_CONCURRENCY to change the default number of parallel requests');
+        console.log('  Set CACHE_DIR and CACHE_MAX_ENTRIES to control the commit details cache');
+        console.log('  Set GITHUB_API_URL to use a GitHub Enterprise Server host');
+        console.log('  Set GITLAB_TOKEN (and GITLAB_URL for self-hosted GitLab) to report on GitLab projects');
+        console.log('  Set GITEA_URL and GITEA_TOKEN to report on a Gitea or Forgejo instance');
+        console.log('  Set BITBUCKET_TOKEN (or BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD) for bitbucket.org repositories');
+        console.log('  Set GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY_PATH to authenticate as a GitHub App');
+        console.log('  Set AUTHOR_ALIASES_FILE to apply an alias file to every report');
+        console.log('  Set REPORT_EXCLUDE_BOTS, REPORT_EXCLUDE_MERGES, REPORT_INCLUDE_PATHS and REPORT_EXCLUDE_PATHS for default filters\n');
     });
 
 // Parse command line arguments
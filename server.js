@@ -8,6 +8,7 @@
 const express = require('express');
 const path = require('path');
 const { GITHUB_TOKEN, OPENAI_API_KEY } = require('./app/config/config');
+const GitHubAppAuth = require('./app/services/GitHubAppAuth');
 require('dotenv').config();
 // Import routes
 const apiRoutes = require('./app/routes/api');
@@ -48,8 +49,8 @@ app.listen(PORT, () => {
     console.log(`   POST /api/analyze-commits - Analyze commits with AI`);
     console.log(`   GET  /api/health - Health check`);
 
-    if (!GITHUB_TOKEN) {
-        console.log(`⚠️  Warning: GITHUB_TOKEN not configured in config.js`);
+    if (!GITHUB_TOKEN && !GitHubAppAuth.isConfigured()) {
+        console.log(`⚠️  Warning: neither GITHUB_TOKEN nor GitHub App credentials are configured`);
     }
 });
 